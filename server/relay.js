@@ -0,0 +1,237 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// WebSocket relay for online versus (src/netplay.js), plain Node with no dependencies:
+//   node server/relay.js [port]        (default 8787)
+// Also serves the game's files, so players can open http://<host>:<port>/?mode=online.
+// Clients send { type: 'join', room }. The first two in a room are paired and each gets
+// { type: 'start', player: 0 | 1, seed }; after that every message from one is passed to the other
+// untouched. { type: 'waiting' } while alone, { type: 'peerLeft' } when the other side goes,
+// { type: 'error', message } for a full room or a bad message.
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2]) || 8787;
+const ROOT = path.resolve(__dirname, '..');
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 64 * 1024; // bytes per message, fragments included; game messages are tiny
+const TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.json': 'application/json' };
+
+const rooms = new Map(); // room name -> [client, client?]
+
+// Static files from the repo root; nothing outside it, no directory listings
+function serveFile(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (err) {
+    res.writeHead(400).end(); // malformed escapes such as /%E0%A4%A
+    return;
+  }
+  const file = path.resolve(ROOT, '.' + (urlPath === '/' ? '/index.html' : urlPath));
+  if (!file.startsWith(ROOT + path.sep) || !TYPES[path.extname(file)]) {
+    res.writeHead(404).end();
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] }).end(data);
+  });
+}
+
+// One text frame from the server (unmasked)
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Complete frames at the front of buf: { frames: [{ opcode, fin, payload }], rest } (client frames are masked)
+function decodeFrames(buf) {
+  const frames = [];
+  let off = 0;
+  while (buf.length - off >= 2) {
+    const fin = (buf[off] & 0x80) !== 0;
+    const opcode = buf[off] & 0x0f;
+    const masked = (buf[off + 1] & 0x80) !== 0;
+    let len = buf[off + 1] & 0x7f;
+    let pos = off + 2;
+    if (len === 126) {
+      if (buf.length < pos + 2) break;
+      len = buf.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buf.length < pos + 8) break;
+      len = Number(buf.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (len > MAX_MESSAGE) throw new Error('message too large');
+    const maskLen = masked ? 4 : 0;
+    if (buf.length < pos + maskLen + len) break;
+    const payload = Buffer.from(buf.subarray(pos + maskLen, pos + maskLen + len));
+    if (masked) {
+      for (let i = 0; i < len; i++) payload[i] ^= buf[pos + (i & 3)];
+    }
+    frames.push({ fin, opcode, payload });
+    off = pos + maskLen + len;
+  }
+  return { frames, rest: buf.subarray(off) };
+}
+
+function createClient(socket) {
+  const client = {
+    room: null,
+    peer: null,
+    closed: false,
+    send(msg) {
+      if (!client.closed) socket.write(encodeFrame(typeof msg === 'string' ? msg : JSON.stringify(msg)));
+    },
+    close() {
+      if (client.closed) return;
+      client.closed = true;
+      socket.end(encodeFrame('', 0x8));
+      leave(client);
+    }
+  };
+  let pending = Buffer.alloc(0);
+  let parts = []; // fragments of a message split over several frames
+  let partsBytes = 0;
+  socket.on('data', (chunk) => {
+    let decoded;
+    try {
+      decoded = decodeFrames(Buffer.concat([pending, chunk]));
+    } catch (err) {
+      client.close();
+      return;
+    }
+    pending = decoded.rest;
+    for (const frame of decoded.frames) {
+      if (frame.opcode === 0x8) { client.close(); return; }
+      if (frame.opcode === 0x9) { socket.write(encodeFrame(frame.payload.toString(), 0xa)); continue; }
+      if (frame.opcode === 0xa) continue;
+      parts.push(frame.payload);
+      partsBytes += frame.payload.length;
+      if (partsBytes > MAX_MESSAGE) { client.close(); return; }
+      if (!frame.fin) continue;
+      const text = Buffer.concat(parts).toString();
+      parts = [];
+      partsBytes = 0;
+      onMessage(client, text);
+    }
+  });
+  socket.on('end', () => client.close()); // upgraded sockets are half-open: answer the peer's FIN ourselves
+  socket.on('close', () => { client.closed = true; leave(client); });
+  socket.on('error', () => { client.closed = true; leave(client); });
+  return client;
+}
+
+function onMessage(client, text) {
+  if (client.peer) {
+    client.peer.send(text);
+    return;
+  }
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch (err) {
+    msg = null;
+  }
+  if (!msg || msg.type !== 'join' || typeof msg.room !== 'string' || !msg.room || msg.room.length > 40) {
+    client.send({ type: 'error', message: 'send { type: "join", room } first' });
+    return;
+  }
+  if (client.room) return;
+  const members = rooms.get(msg.room) || [];
+  if (members.length >= 2) {
+    client.send({ type: 'error', message: `room "${msg.room}" is full` });
+    return;
+  }
+  client.room = msg.room;
+  members.push(client);
+  rooms.set(msg.room, members);
+  if (members.length === 1) {
+    client.send({ type: 'waiting' });
+    return;
+  }
+  const [a, b] = members;
+  a.peer = b;
+  b.peer = a;
+  const seed = crypto.randomBytes(4).readUInt32LE(0);
+  a.send({ type: 'start', player: 0, seed });
+  b.send({ type: 'start', player: 1, seed });
+  console.log(`room "${msg.room}": match started (seed ${seed})`);
+}
+
+// A room lasts one match: when either side goes, the other is told and the room is freed
+function leave(client) {
+  const members = client.room ? rooms.get(client.room) : null;
+  if (!members || !members.includes(client)) return;
+  rooms.delete(client.room);
+  for (const other of members) {
+    if (other === client) continue;
+    other.room = null;
+    other.peer = null;
+    other.send({ type: 'peerLeft' });
+  }
+}
+
+const server = http.createServer(serveFile);
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+  createClient(socket);
+});
+
+server.listen(PORT, () => {
+  console.log(`karatec relay on ws://localhost:${PORT} (game at http://localhost:${PORT}/?mode=online)`);
+});
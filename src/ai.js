@@ -0,0 +1,276 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Enemy AI: behavior profiles (plain data, JSON syntax) and the per-tick controller that
+  // drives a Fighter from one. Each enemy in Game picks a profile with the `ai` option.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { HEIGHTS, GUARD, TURN } = Karate;
+
+    // engageDist/margin: preferred spacing; attackRange: max distance to start a technique.
+    // reactionMs: how long the player's attack runs before the AI responds to its height;
+    // blockAccuracy (0..1) is the chance it then reads that height right rather than guarding another.
+    // aggression divides the attack timers; firstAttack/attackEvery are [min, max] ms.
+    // aimWeights (optional) replaces the default "avoid the player's stance" aim; dirChance picks
+    // forward/back command variants; feintChance aborts a started technique mid-windup and backs off.
+    // adaptive (0..1) is how much the profile trusts the opponent model; it acts on a prediction
+    // once confidence * adaptive reaches anticipate.
+    const AI_PROFILES = {
+      "balanced": {
+        "name": "標準",
+        "engageDist": 64, "margin": 10, "attackRange": 86,
+        "reactionMs": 0, "blockAccuracy": 0.85, "aggression": 1,
+        "firstAttack": [400, 900], "attackEvery": [700, 1400],
+        "defendRadius": 90, "guardRadius": 110, "parryChance": 0.2,
+        "stanceChange": 0.01, "mirrorStance": 0.6,
+        "kickChance": 0.45, "aimOffStance": 0.55,
+        "dirChance": { "forward": 0, "back": 0 },
+        "counter": false, "feintChance": 0, "feintRetreatMs": 0,
+        "adaptive": 1, "anticipate": 0.45
+      },
+      "rusher": {
+        "name": "突進型",
+        "adaptive": 0.5,
+        "engageDist": 50, "attackRange": 92,
+        "reactionMs": 90, "aggression": 1.8,
+        "guardRadius": 70, "parryChance": 0.05,
+        "kickChance": 0.5,
+        "dirChance": { "forward": 0.3, "back": 0 }
+      },
+      "counter": {
+        "name": "待ち拳",
+        "engageDist": 72,
+        "reactionMs": 30, "aggression": 0.6,
+        "attackEvery": [1400, 2200],
+        "defendRadius": 110, "guardRadius": 140, "parryChance": 0.4,
+        "stanceChange": 0.004,
+        "counter": true
+      },
+      "lowKicker": {
+        "name": "下段蹴り",
+        "reactionMs": 60, "aggression": 1.2,
+        "kickChance": 0.85,
+        "aimWeights": { "low": 0.7, "mid": 0.2, "high": 0.1 },
+        "dirChance": { "forward": 0, "back": 0.35 }
+      },
+      "feinter": {
+        "name": "フェイント",
+        "engageDist": 70,
+        "reactionMs": 50, "aggression": 1.3,
+        "stanceChange": 0.03, "mirrorStance": 0.3,
+        "feintChance": 0.4, "feintRetreatMs": 260
+      }
+    };
+
+    // Profile id, or an object naming a `base` profile (default balanced) plus overrides
+    function resolveAIProfile(spec) {
+      const base = AI_PROFILES.balanced;
+      if (spec == null) return { id: 'balanced', ...base };
+      const id = typeof spec === 'string' ? spec : spec.base || 'balanced';
+      const profile = AI_PROFILES[id];
+      if (!profile) throw new Error(`unknown AI profile "${id}" (expected one of ${Object.keys(AI_PROFILES).join(', ')})`);
+      const overrides = typeof spec === 'string' ? {} : spec;
+      const merged = { ...base, ...profile, ...overrides, id };
+      delete merged.base;
+      return merged;
+    }
+
+    // Opponent model: the player's attacks as symbols ("kick:low") in decayed n-gram tables, plus a
+    // running share of time spent in each stance. learningRate (0..1) is how much each new
+    // observation counts against the old ones; 0 switches learning off.
+    const LEARNING_RATE = 0.25; // the model's default
+
+    function createOpponentModel(opts = {}) {
+      const order = opts.order || 2;
+      const learningRate = opts.learningRate != null ? opts.learningRate : LEARNING_RATE;
+      let lastAttack = null;
+      const model = {
+        order,
+        learningRate,
+        history: [], // last order-1 symbols
+        table: {}, // context ("punch:high|kick:low", "" for none) -> { symbol: weight }
+        stance: { low: 0, mid: 0, high: 0 },
+
+        observe(player, dt) {
+          if (learningRate <= 0) return;
+          const k = Math.min(1, learningRate * dt / 1000);
+          for (const h of HEIGHTS) model.stance[h] += ((player.stance === h ? 1 : 0) - model.stance[h]) * k;
+          const a = player.attack;
+          if (a && a !== lastAttack) model.record(`${a.button}:${a.height}`);
+          lastAttack = a;
+        },
+
+        record(symbol) {
+          for (let n = 0; n < order && n <= model.history.length; n++) {
+            const ctx = model.history.slice(model.history.length - n).join('|');
+            const row = model.table[ctx] || (model.table[ctx] = {});
+            for (const key in row) row[key] *= 1 - learningRate;
+            row[symbol] = (row[symbol] || 0) + learningRate;
+          }
+          model.history.push(symbol);
+          if (model.history.length > order - 1) model.history.shift();
+        },
+
+        // Most likely next attack from the longest context seen; confidence is its share of the
+        // row, scaled down while the row has little evidence behind it
+        predict() {
+          for (let n = Math.min(order - 1, model.history.length); n >= 0; n--) {
+            const row = model.table[model.history.slice(model.history.length - n).join('|')];
+            if (!row) continue;
+            let best = null;
+            let total = 0;
+            for (const key in row) {
+              total += row[key];
+              if (!best || row[key] > row[best]) best = key;
+            }
+            if (!best || total <= 0) continue;
+            const [button, height] = best.split(':');
+            return { symbol: best, button, height, confidence: (row[best] / total) * Math.min(1, total) };
+          }
+          return null;
+        },
+
+        habitualStance() {
+          const height = HEIGHTS.reduce((a, b) => (model.stance[b] > model.stance[a] ? b : a));
+          return { height, share: model.stance[height] };
+        },
+
+        serialize() {
+          return { history: model.history.slice(), table: JSON.parse(JSON.stringify(model.table)), stance: { ...model.stance } };
+        }
+      };
+      return model;
+    }
+
+    function pickWeighted(rng, weights) {
+      const entries = Object.entries(weights);
+      const total = entries.reduce((sum, [, w]) => sum + w, 0);
+      let r = rng.next() * total;
+      for (const [key, w] of entries) {
+        r -= w;
+        if (r < 0) return key;
+      }
+      return entries[entries.length - 1][0];
+    }
+
+    // One AI tick for fighter f; every random decision goes through game.rng
+    function updateAI(f, dt, game) {
+      const p = f.ai || (f.ai = resolveAIProfile());
+      const rng = game.rng;
+      const player = game.player;
+      if (!player) return;
+      f.faceToward(player.x);
+      const dist = Math.abs(f.x - player.x);
+
+      // What the player's habits say: the next attack, and the stance they keep falling back to
+      const model = p.adaptive > 0 ? game.playerModel : null;
+      const guess = model ? model.predict() : null;
+      const expect = guess && guess.confidence * p.adaptive >= p.anticipate ? guess : null;
+      const habit = model ? model.habitualStance() : null;
+
+      // Sharing the fight: wait a step further off until it's this enemy's turn to attack
+      const myTurn = game.canTakeTurn(f);
+      const engageDist = p.engageDist + (myTurn ? 0 : TURN.holdBack);
+
+      if (f._aiRetreat > 0) {
+        f._aiRetreat = Math.max(0, f._aiRetreat - dt);
+        f.moveDir = f.x < player.x ? -1 : 1;
+      } else if (!f.attack) {
+        if (dist > engageDist + p.margin) f.moveDir = f.x < player.x ? 1 : -1;
+        else if (dist < engageDist - p.margin) f.moveDir = f.x < player.x ? -1 : 1;
+        else f.moveDir = 0;
+      } else {
+        f.moveDir = 0;
+      }
+
+      // Defend: once the player's attack has run for reactionMs, align stance to it and keep the
+      // guard up. Now and then drop it and re-raise just before impact to parry.
+      const pa = player.attack;
+      if (pa && pa.t >= p.reactionMs && dist < p.defendRadius) {
+        // A misread guards the wrong height for the rest of the attack
+        if (f._aiRead == null) f._aiRead = p.blockAccuracy >= 1 || rng.chance(p.blockAccuracy) ? pa.height : rng.pick(HEIGHTS.filter(h => h !== pa.height));
+        f.stanceIndex = HEIGHTS.indexOf(f._aiRead);
+        // A predicted attack is easy to time, so parry it far more often
+        const read = expect && expect.height === pa.height ? expect.confidence * p.adaptive * 0.6 : 0;
+        if (f._aiParry == null) f._aiParry = rng.chance(Math.max(p.parryChance, read));
+        f.setGuard(!f._aiParry || pa.t >= pa.windup - GUARD.parryWindow / 2, dt);
+      } else {
+        f._aiParry = null;
+        f._aiRead = null;
+        f.setGuard(dist < p.guardRadius, dt);
+        // Expecting a known pattern: be in place before it comes out.
+        // Otherwise, change stance occasionally toward random or to counter player's stance
+        if (expect && dist < p.defendRadius) {
+          f.stanceIndex = HEIGHTS.indexOf(expect.height);
+        } else if (rng.chance(p.stanceChange)) {
+          if (rng.chance(p.mirrorStance)) f.stanceIndex = HEIGHTS.indexOf(player.stance);
+          else f.stanceIndex = rng.int(3);
+        }
+      }
+
+      // Counter-punchers, and anyone who has read a predictable player, answer a blocked, parried or
+      // whiffed attack as soon as they can move
+      if ((p.counter || expect) && pa && !f.attack && pa.t >= pa.windup + pa.active && pa.result !== 'hit') f._aiAtkTimer = 1;
+
+      // Offense: try to attack periodically when in range.
+      // Winded enemies hold back until they have their breath again; a running player is punished at once.
+      f._aiAtkTimer = (f._aiAtkTimer || rng.range(p.firstAttack[0], p.firstAttack[1]) / p.aggression) - dt;
+      if ((f._aiAtkTimer <= 0 || player.running) && myTurn && !f.attack && f.attackCooldown <= 0 && dist < p.attackRange && !f.tired) {
+        const kind = rng.chance(p.kickChance) ? 'kick' : 'punch';
+        let aim;
+        if (habit && habit.share * p.adaptive >= p.anticipate && rng.chance(p.adaptive)) {
+          // Go around the stance the player keeps
+          aim = rng.pick(HEIGHTS.filter(h => h !== habit.height));
+        } else if (p.aimWeights) {
+          aim = pickWeighted(rng, p.aimWeights);
+        } else {
+          aim = rng.pick(HEIGHTS);
+          if (rng.chance(p.aimOffStance)) aim = rng.pick(HEIGHTS.filter(h => h !== player.stance));
+        }
+        let heldDir = 0;
+        if (rng.chance(p.dirChance.forward)) heldDir = f.dir;
+        else if (rng.chance(p.dirChance.back)) heldDir = -f.dir;
+        if (f.startCommand(kind, aim, heldDir)) {
+          f._aiFeint = rng.chance(p.feintChance);
+          game.takeTurn(f);
+        }
+        f._aiAtkTimer = rng.range(p.attackEvery[0], p.attackEvery[1]) / p.aggression;
+      }
+
+      // Feint: pull the technique before it comes out and step back
+      const a = f.attack;
+      if (a && f._aiFeint && a.t >= a.windup * 0.6) {
+        f.attack = null;
+        f.state = 'idle';
+        f._aiFeint = false;
+        f._aiRetreat = p.feintRetreatMs;
+        f.attackCooldown = Math.max(f.attackCooldown, 160);
+      }
+      if (f.attack) f.guarding = false;
+    }
+
+    Object.assign(Karate, { AI_PROFILES, resolveAIProfile, LEARNING_RATE, createOpponentModel, updateAI });
+  })();
@@ -0,0 +1,241 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Cutscenes: timelines of steps that walk fighters, play poses, pan the camera and caption lines.
+  // Each step starts `at` ms into the scene and steps overlap freely; a scene ends once its last
+  // step has run out and every walk has arrived. Player input is ignored while one plays, except
+  // `skip`, which jumps straight to the end state.
+  //   [{ "at": 0, "type": "move", "actor": "player", "x": 240 }, { "at": 0, "type": "caption", "speaker": "姫", "text": "助けて!", "ms": 1800 }]
+  // Actors are "player", "enemy" (the foe a greeting is for) or an index into the stage's enemies.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { VIEW_W, HEIGHTS, clamp, lerp, smoothStep } = Karate;
+
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+    const need = {
+      actor: (v, ctx) => (v === 'player' || v === 'enemy' || (Number.isInteger(v) && v >= 0 && v < ctx.enemyCount) ? null : `must be "player", "enemy" or an index into enemies (0..${ctx.enemyCount - 1})`),
+      number: (v) => (isNum(v) ? null : 'must be a number'),
+      ms: (v) => (isNum(v) && v >= 0 ? null : 'must be a duration in ms (0 or more)'),
+      text: (v) => (typeof v === 'string' && v ? null : 'must be a non-empty string')
+    };
+    const optional = (check) => (v, ctx) => (v == null ? null : check(v, ctx));
+
+    const POSES = ['bow', 'stance', 'run', ...HEIGHTS];
+
+    // start(game, step, scene) runs once when the scene clock reaches `at`;
+    // length(step) is how long the step keeps the scene going (0 if omitted)
+    const STEPS = {
+      // Walk to x (or dx from where the actor stands when the step starts)
+      move: {
+        params: {
+          actor: need.actor,
+          x: optional(need.number),
+          dx: optional(need.number),
+          run: optional(v => (typeof v === 'boolean' ? null : 'must be true or false'))
+        },
+        start: (game, s, scene) => {
+          const f = scene.actor(game, s.actor);
+          if (!f || !f.alive) return;
+          if (s.run != null) f.running = s.run;
+          const x = s.x != null ? s.x : f.x + (s.dx || 0);
+          f.script = { x: clamp(x, game.getLeftBoundary(f), game.getRightBoundary(f)), lastX: null };
+        }
+      },
+      // Turn toward another actor, or "left"/"right"
+      face: {
+        params: {
+          actor: need.actor,
+          toward: (v, ctx) => (v === 'left' || v === 'right' || !need.actor(v, ctx) ? null : `must be "left", "right", "player", "enemy" or an index into enemies (0..${ctx.enemyCount - 1})`)
+        },
+        start: (game, s, scene) => {
+          const f = scene.actor(game, s.actor);
+          if (!f) return;
+          if (s.toward === 'left' || s.toward === 'right') { f.dir = s.toward === 'left' ? -1 : 1; return; }
+          const other = scene.actor(game, s.toward);
+          if (other) f.faceToward(other.x);
+        }
+      },
+      // "bow", "stance" (fighting stance), "run", or a stance height
+      pose: {
+        params: { actor: need.actor, pose: v => (POSES.includes(v) ? null : `must be one of ${POSES.join(', ')}`) },
+        start: (game, s, scene) => {
+          const f = scene.actor(game, s.actor);
+          if (!f || !f.alive) return;
+          if (s.pose === 'bow') f.startBow();
+          else if (s.pose === 'stance' || s.pose === 'run') f.running = s.pose === 'run';
+          else f.stanceIndex = HEIGHTS.indexOf(s.pose);
+        }
+      },
+      // Pan so the view's left edge reaches x over ms; the camera stays there until the scene ends
+      camera: {
+        params: { x: need.number, ms: optional(need.ms) },
+        start: (game, s, scene) => {
+          const to = clamp(s.x, 0, Math.max(0, game.worldW - VIEW_W));
+          scene.camera = { from: game.cameraX, to, t0: s.at, ms: s.ms || 0 };
+        },
+        length: (s) => s.ms || 0
+      },
+      caption: {
+        params: { text: need.text, speaker: optional(need.text), ms: need.ms },
+        start: (game, s, scene) => { scene.caption = { text: s.text, speaker: s.speaker || null, until: s.at + s.ms }; },
+        length: (s) => s.ms
+      },
+      wait: {
+        params: { ms: need.ms },
+        start: () => {},
+        length: (s) => s.ms
+      }
+    };
+
+    // The bow before every first fight, used when the stage doesn't script its own "greeting"
+    const GREETING = [
+      { "at": 0, "type": "face", "actor": "player", "toward": "enemy" },
+      { "at": 0, "type": "face", "actor": "enemy", "toward": "player" },
+      { "at": 0, "type": "pose", "actor": "player", "pose": "bow" },
+      { "at": 0, "type": "pose", "actor": "enemy", "pose": "bow" },
+      { "at": 0, "type": "caption", "text": "礼", "ms": 1500 },
+      { "at": 1500, "type": "caption", "text": "構え!", "ms": 480 }
+    ];
+
+    // Pushes a problem string for every mistake; ctx = { enemyCount }
+    function validateCutscenes(raw, ctx, problems) {
+      if (raw == null) return;
+      if (!isObj(raw)) { problems.push('cutscenes must be an object of name -> list of steps'); return; }
+      for (const [name, steps] of Object.entries(raw)) {
+        const at = `cutscenes.${name}`;
+        if (!Array.isArray(steps) || !steps.length) { problems.push(`${at} must be a non-empty list of steps`); continue; }
+        steps.forEach((s, i) => {
+          const sa = `${at}[${i}]`;
+          if (!isObj(s)) { problems.push(`${sa} must be an object`); return; }
+          if (!isNum(s.at) || s.at < 0) problems.push(`${sa}.at must be a time in ms (0 or more)`);
+          const def = STEPS[s.type];
+          if (!def) { problems.push(`${sa}.type must be one of ${Object.keys(STEPS).join(', ')}`); return; }
+          for (const [param, check] of Object.entries(def.params)) {
+            const problem = check(s[param], ctx);
+            if (problem) problems.push(`${sa}.${param} ${problem}`);
+          }
+          if (s.type === 'move' && (s.x == null) === (s.dx == null)) problems.push(`${sa} needs exactly one of x or dx`);
+        });
+      }
+    }
+
+    // Steps sorted by start time (stable), with the built-in greeting filled in
+    function normalizeCutscenes(raw) {
+      const scenes = { greeting: GREETING, ...(raw || {}) };
+      const out = {};
+      for (const [name, steps] of Object.entries(scenes)) {
+        out[name] = steps.map(s => ({ ...s })).sort((a, b) => a.at - b.at);
+      }
+      return out;
+    }
+
+    const stepEnd = (s) => s.at + (STEPS[s.type].length ? STEPS[s.type].length(s) : 0);
+
+    // One playing scene. `enemy` is the fighter "enemy" steps refer to (null outside greetings).
+    function createCutscene(name, steps, enemy = null) {
+      const scene = {
+        name,
+        enemy,
+        t: 0,
+        next: 0, // index of the first step not started yet
+        duration: steps.reduce((end, s) => Math.max(end, stepEnd(s)), 0),
+        actors: [], // fighters under script control; the player always is
+        camera: null, // { from, to, t0, ms }
+        caption: null, // { text, speaker, until }
+        done: false,
+
+        actor(game, ref) {
+          const f = ref === 'player' ? game.player : ref === 'enemy' ? scene.enemy : game.enemies[ref] || null;
+          if (f && !f.script) f.script = { x: null, lastX: null };
+          if (f && !scene.actors.includes(f)) scene.actors.push(f);
+          return f;
+        },
+
+        walking() {
+          return scene.actors.some(f => f.script && f.script.x != null);
+        },
+
+        startDue(game, until) {
+          while (scene.next < steps.length && steps[scene.next].at <= until) {
+            const s = steps[scene.next++];
+            STEPS[s.type].start(game, s, scene);
+          }
+        },
+
+        update(game, dt) {
+          if (!scene.actors.length) scene.actor(game, 'player');
+          scene.t += dt;
+          scene.startDue(game, scene.t);
+          if (scene.caption && scene.t >= scene.caption.until) scene.caption = null;
+          if (scene.t >= scene.duration && !scene.walking()) scene.done = true;
+        },
+
+        // Jump to the end state: every step started, walkers at their marks, bows and captions cut
+        skip(game) {
+          scene.startDue(game, Infinity);
+          for (const f of scene.actors) {
+            if (f.script && f.script.x != null) f.x = f.script.x;
+            if (f.bowState || f.bowAmount) f.cutBow();
+            f.moveDir = 0;
+          }
+          if (scene.camera) scene.camera.t0 = scene.t - scene.camera.ms;
+          scene.caption = null;
+          scene.done = true;
+        },
+
+        // Where the scene holds the camera, or null to follow the player as usual
+        cameraX() {
+          const c = scene.camera;
+          if (!c) return null;
+          const k = c.ms > 0 ? clamp((scene.t - c.t0) / c.ms, 0, 1) : 1;
+          return lerp(c.from, c.to, smoothStep(k));
+        },
+
+        // Hand the actors back to their players / AI
+        finish() {
+          for (const f of scene.actors) f.script = null;
+        },
+
+        serialize(game) {
+          return {
+            name,
+            enemy: game.indexOfEnemy(scene.enemy),
+            t: scene.t,
+            next: scene.next,
+            actors: scene.actors.map(f => (f === game.player ? 'player' : game.indexOfEnemy(f))),
+            camera: scene.camera ? { ...scene.camera } : null,
+            caption: scene.caption ? { ...scene.caption } : null,
+            done: scene.done
+          };
+        }
+      };
+      return scene;
+    }
+
+    Object.assign(Karate, { CUTSCENE_STEPS: STEPS, GREETING, validateCutscenes, normalizeCutscenes, createCutscene });
+  })();
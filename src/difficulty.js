@@ -0,0 +1,100 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Difficulty: presets that scale the enemies (HP, damage, AI reaction, block accuracy, attack
+  // frequency, defend radius, how fast they learn the player's habits) and the chip damage the player
+  // takes through a guard. "normal" changes nothing.
+  //   createSimulation({ difficulty: 'hard' })
+  //   createSimulation({ difficulty: { base: 'easy', enemyDamage: 0.8 } }) // a custom mix
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+
+    // The tunable values with their slider ranges; `step` and `unit` are for the settings panel
+    const DIFFICULTY_SLIDERS = {
+      enemyHp: { label: '敵の体力', min: 0.5, max: 2, step: 0.05, unit: 'x' },
+      enemyDamage: { label: '敵の攻撃力', min: 0.25, max: 2, step: 0.05, unit: 'x' },
+      reactionMs: { label: '敵の反応の遅れ', min: -90, max: 300, step: 10, unit: 'ms' }, // added to the profile's reactionMs
+      blockAccuracy: { label: '敵の防御の正確さ', min: 0, max: 1.5, step: 0.05, unit: 'x' }, // multiplies the profile's, up to 1
+      attackRate: { label: '敵の攻撃頻度', min: 0.5, max: 2, step: 0.05, unit: 'x' }, // multiplies aggression
+      defendRadius: { label: '敵の防御の間合い', min: 0.5, max: 1.5, step: 0.05, unit: 'x' }, // multiplies the profile's
+      learningRate: { label: '敵の学習の速さ', min: 0, max: 2, step: 0.05, unit: 'x' }, // multiplies the opponent model's
+      chipTaken: { label: '受けた時の削り', min: 0, max: 3, step: 0.1, unit: 'x' }
+    };
+
+    const DIFFICULTY_PRESETS = {
+      "easy": {
+        "name": "やさしい",
+        "enemyHp": 0.75, "enemyDamage": 0.6, "reactionMs": 150, "blockAccuracy": 0.65, "attackRate": 0.7, "defendRadius": 0.8, "learningRate": 0.5, "chipTaken": 0.5
+      },
+      "normal": {
+        "name": "ふつう",
+        "enemyHp": 1, "enemyDamage": 1, "reactionMs": 0, "blockAccuracy": 1, "attackRate": 1, "defendRadius": 1, "learningRate": 1, "chipTaken": 1
+      },
+      "hard": {
+        "name": "むずかしい",
+        "enemyHp": 1.2, "enemyDamage": 1.25, "reactionMs": -30, "blockAccuracy": 1.1, "attackRate": 1.25, "defendRadius": 1.1, "learningRate": 1.3, "chipTaken": 1.5
+      },
+      "master": {
+        "name": "達人",
+        "enemyHp": 1.4, "enemyDamage": 1.5, "reactionMs": -60, "blockAccuracy": 1.2, "attackRate": 1.5, "defendRadius": 1.2, "learningRate": 1.6, "chipTaken": 2
+      }
+    };
+
+    // Preset id, or an object naming a `base` preset (default normal) plus slider overrides.
+    // Overrides must be numbers inside their slider's range.
+    function resolveDifficulty(spec) {
+      if (spec == null) return { id: 'normal', ...DIFFICULTY_PRESETS.normal };
+      const id = typeof spec === 'string' ? spec : spec.base || 'normal';
+      const preset = DIFFICULTY_PRESETS[id];
+      if (!preset) throw new Error(`unknown difficulty "${id}" (expected one of ${Object.keys(DIFFICULTY_PRESETS).join(', ')})`);
+      const out = { ...preset, id };
+      if (typeof spec === 'string') return out;
+      for (const [key, slider] of Object.entries(DIFFICULTY_SLIDERS)) {
+        const v = spec[key];
+        if (v == null) continue;
+        if (typeof v !== 'number' || !(v >= slider.min && v <= slider.max)) {
+          throw new Error(`difficulty.${key} must be a number from ${slider.min} to ${slider.max}`);
+        }
+        out[key] = v;
+      }
+      // Anything overridden is a custom mix, even if it happens to match a preset
+      if (Object.keys(DIFFICULTY_SLIDERS).some(k => spec[k] != null)) out.id = 'custom';
+      return out;
+    }
+
+    // An enemy's AI profile under difficulty d (a copy; profiles are shared data)
+    function applyDifficultyToAI(profile, d) {
+      return {
+        ...profile,
+        reactionMs: Math.max(0, profile.reactionMs + d.reactionMs),
+        blockAccuracy: Math.min(1, profile.blockAccuracy * d.blockAccuracy),
+        aggression: profile.aggression * d.attackRate,
+        defendRadius: profile.defendRadius * d.defendRadius
+      };
+    }
+
+    Object.assign(Karate, { DIFFICULTY_SLIDERS, DIFFICULTY_PRESETS, resolveDifficulty, applyDifficultyToAI });
+  })();
@@ -0,0 +1,331 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Non-fighter actors (birds, traps) on a common Entity base. Game keeps them in one list,
+  // steps them every playing tick, routes player attacks to their hurtboxes and drops them
+  // once `removed` is set. Drawing lives in render.js, keyed by `type`.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { VIEW_W, HEIGHTS, clamp, lerp, rectsOverlap } = Karate;
+
+    // Lifecycle: constructed by Game.spawnEntity -> step() each tick -> defeat() (fade out) -> removed.
+    // Subclasses override update() and whichever of the box getters apply to them.
+    class Entity {
+      constructor(game, opts = {}) {
+        this.type = 'entity';
+        this.layer = 'front'; // 'back' draws behind fighters, 'front' between enemy and player
+        this.hint = null; // HUD prompt while the entity is a threat
+        this.x = opts.x != null ? opts.x : 0;
+        this.y = opts.y != null ? opts.y : 0;
+        this.state = 'enter';
+        this.timer = 0; // ms in the current state
+        this.opacity = 1;
+        this.hitCooldown = 0;
+        this.alive = true; // can hurt and be hurt
+        this.removed = false;
+      }
+
+      // Region that hurts the player
+      getHitbox() { return null; }
+
+      // Region the player's attacks can strike
+      getHurtbox() { return null; }
+
+      // Region no fighter can walk through
+      getSolidRect() { return null; }
+
+      setState(state) {
+        this.state = state;
+        this.timer = 0;
+      }
+
+      step(dt, game) {
+        this.timer += dt;
+        this.hitCooldown = Math.max(0, this.hitCooldown - dt);
+        if (this.state === 'dissolve') {
+          const t = dt / 1000;
+          this.opacity = Math.max(0, this.opacity - dt * 0.003);
+          this.y += 180 * t;
+          this.x += 40 * t;
+          if (this.opacity <= 0 || this.y > game.groundY + 90) this.removed = true;
+          return;
+        }
+        this.update(dt, game);
+      }
+
+      update() {}
+
+      // Struck by a player attack; the default is a one-hit kill
+      takeHit(game) {
+        this.defeat(game);
+      }
+
+      defeat(game, message) {
+        if (!this.alive) return;
+        this.alive = false;
+        this.opacity = 1;
+        this.setState('dissolve');
+        if (message) game.pushTempMessage(message, 1400, 0.95);
+      }
+
+      // Damage interface: apply `hit` to the player, at most once per cooldown.
+      // Blockable hits go through the player's guard like a fighter's attack would.
+      hurtPlayer(game, hit, cooldown = 700) {
+        const player = game.player;
+        if (this.hitCooldown > 0 || !player.alive) return null;
+        this.hitCooldown = cooldown;
+        const blocked = hit.blockable ? !!player.defenseAgainst(hit.height) : false;
+        return player.applyHit(hit, blocked);
+      }
+
+      // hurtPlayer, only while the hitbox overlaps the player's body
+      strikePlayer(game, hit, cooldown) {
+        const box = this.getHitbox();
+        if (!box || !rectsOverlap(box, game.player.getBodyRect())) return null;
+        return this.hurtPlayer(game, hit, cooldown);
+      }
+
+      serialize() {
+        return {
+          type: this.type,
+          x: this.x,
+          y: this.y,
+          state: this.state,
+          timer: this.timer,
+          opacity: this.opacity,
+          hitCooldown: this.hitCooldown,
+          alive: this.alive,
+          removed: this.removed
+        };
+      }
+    }
+
+    // Hovers over the player and dives from above; a high attack knocks it away
+    class Pigeon extends Entity {
+      constructor(game, opts = {}) {
+        super(game, opts);
+        this.type = 'pigeon';
+        this.hint = '鳩を攻撃!';
+        if (opts.x == null) this.x = game.player ? game.player.x + 320 : 320;
+        this.y = game.groundY - 220;
+        this.opacity = 0;
+      }
+
+      getHitbox() {
+        return { x: this.x - 28, y: this.y - 18, w: 56, h: 36 };
+      }
+
+      getHurtbox() {
+        return this.getHitbox();
+      }
+
+      takeHit(game) {
+        this.defeat(game, '鳩を撃退!');
+      }
+
+      update(dt, game) {
+        const t = dt / 1000;
+        const player = game.player;
+        this.opacity = Math.min(1, this.opacity + dt * 0.0045);
+
+        switch (this.state) {
+          case 'enter': {
+            this.x -= 140 * t;
+            this.y = lerp(this.y, player.y - 140, 0.018 * dt);
+            if (this.x <= player.x + 110) this.setState('hover');
+            break;
+          }
+          case 'hover': {
+            this.x = lerp(this.x, player.x + 80, 0.12 * t);
+            this.y = lerp(this.y, player.y - 130, 0.16 * t);
+            if (this.timer >= 360) this.setState('dive');
+            break;
+          }
+          case 'dive': {
+            const targetX = player.x + (player.dir === 1 ? -18 : 18);
+            this.x = lerp(this.x, targetX, 0.25);
+            this.y += 420 * t;
+            if (this.y >= player.y - 60) this.hurtPlayer(game, { dmg: 8, knockback: 34, kind: 'peck', height: 'high' });
+            if (this.y >= player.y + 48) this.setState('rise');
+            break;
+          }
+          case 'rise': {
+            this.x += 220 * t;
+            this.y -= 360 * t;
+            if (this.y <= game.groundY - 210) this.setState('hover');
+            break;
+          }
+        }
+      }
+    }
+
+    // Swoops in low, skimming at one height band (mid or low) across the player, then climbs,
+    // turns and comes back for `passes` runs. Block it at that height or hit it out of the air.
+    class Hawk extends Entity {
+      constructor(game, opts = {}) {
+        super(game, opts);
+        this.type = 'hawk';
+        this.hint = '鷹を迎え撃て!';
+        this.height = opts.height || 'mid';
+        this.passes = opts.passes || 3;
+        this.dir = -1;
+        if (opts.x == null) this.x = game.cameraX + VIEW_W + 60;
+        this.y = game.groundY - 280;
+        this.opacity = 0;
+      }
+
+      // Vertical center of the player's hurt band for this.height
+      bandY(game) {
+        return game.groundY - 20 - 40 * HEIGHTS.indexOf(this.height);
+      }
+
+      getHitbox() {
+        return { x: this.x - 24, y: this.y - 12, w: 48, h: 24 };
+      }
+
+      getHurtbox() {
+        return this.getHitbox();
+      }
+
+      takeHit(game) {
+        this.defeat(game, '鷹を撃退!');
+      }
+
+      update(dt, game) {
+        const t = dt / 1000;
+        const player = game.player;
+        this.opacity = Math.min(1, this.opacity + dt * 0.004);
+
+        switch (this.state) {
+          case 'enter': {
+            // Glide toward the player, dropping to the band as it closes in
+            this.x += this.dir * 300 * t;
+            const ahead = (player.x - this.x) * this.dir;
+            if (ahead < 320) this.setState('swoop');
+            break;
+          }
+          case 'swoop': {
+            this.x += this.dir * 360 * t;
+            this.y = lerp(this.y, this.bandY(game), clamp(dt * 0.012, 0, 1));
+            this.strikePlayer(game, { dmg: 10, knockback: 30, hitstun: 220, blockstun: 100, guardDamage: 20, kind: 'talon', height: this.height, blockable: true });
+            if ((this.x - player.x) * this.dir > 280) {
+              this.passes--;
+              this.setState(this.passes > 0 ? 'climb' : 'leave');
+            }
+            break;
+          }
+          case 'climb': {
+            this.x += this.dir * 160 * t;
+            this.y -= 300 * t;
+            if (this.y <= game.groundY - 280) {
+              this.dir = -this.dir;
+              this.setState('enter');
+            }
+            break;
+          }
+          case 'leave': {
+            this.x += this.dir * 300 * t;
+            this.y -= 260 * t;
+            this.opacity = Math.max(0, this.opacity - dt * 0.002);
+            if (this.opacity <= 0) this.removed = true;
+            break;
+          }
+        }
+      }
+
+      serialize() {
+        return { ...super.serialize(), height: this.height, passes: this.passes, dir: this.dir };
+      }
+    }
+
+    // Iron gate hanging over the path: rattles for warnMs, slams down (crushing anyone under it),
+    // blocks the way for holdMs, then winds back up. holdMs 0 leaves it down for good.
+    class Portcullis extends Entity {
+      constructor(game, opts = {}) {
+        super(game, opts);
+        this.type = 'portcullis';
+        this.layer = 'back';
+        this.width = 56;
+        this.height = 260;
+        this.warnMs = opts.warnMs != null ? opts.warnMs : 600;
+        this.holdMs = opts.holdMs != null ? opts.holdMs : 3000;
+        this.groundY = game.groundY;
+        this.raisedY = game.groundY - 250; // y is the gate's bottom edge
+        this.y = this.raisedY;
+        this.vy = 0;
+        this.state = 'warn';
+      }
+
+      getHitbox() {
+        if (this.state !== 'drop') return null;
+        return { x: this.x - this.width / 2, y: this.y - 30, w: this.width, h: 30 };
+      }
+
+      getSolidRect() {
+        // Down, or still low enough on the way up that nobody fits under it
+        if (this.state !== 'down' && !(this.state === 'rise' && this.y > this.groundY - 110)) return null;
+        return { x: this.x - this.width / 2, y: this.y - this.height, w: this.width, h: this.height };
+      }
+
+      update(dt, game) {
+        const t = dt / 1000;
+        switch (this.state) {
+          case 'warn': {
+            if (this.timer >= this.warnMs) this.setState('drop');
+            break;
+          }
+          case 'drop': {
+            this.vy += 2600 * t;
+            this.y = Math.min(this.groundY, this.y + this.vy * t);
+            this.strikePlayer(game, { dmg: 30, knockback: 0, hitstun: 600, kind: 'crush', height: 'high' }, 2000);
+            if (this.y >= this.groundY) {
+              this.vy = 0;
+              this.setState('down');
+            }
+            break;
+          }
+          case 'down': {
+            if (this.holdMs > 0 && this.timer >= this.holdMs) this.setState('rise');
+            break;
+          }
+          case 'rise': {
+            this.y = Math.max(this.raisedY, this.y - 90 * t);
+            if (this.y <= this.raisedY) this.removed = true;
+            break;
+          }
+        }
+      }
+
+      serialize() {
+        return { ...super.serialize(), vy: this.vy };
+      }
+    }
+
+    // Spawnable types by name (trigger "spawn" actions use these keys)
+    const ENTITY_TYPES = { pigeon: Pigeon, hawk: Hawk, portcullis: Portcullis };
+
+    Object.assign(Karate, { Entity, Pigeon, Hawk, Portcullis, ENTITY_TYPES });
+  })();
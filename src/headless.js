@@ -0,0 +1,42 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+  // Node entry: loads the DOM-free simulation scripts and returns the Karate namespace.
+  //   const { createSimulation, createInputFrame } = require('./src/headless.js');
+
+  require('./moves.js');
+  require('./sim.js');
+  require('./ai.js');
+  require('./difficulty.js');
+  require('./entities.js');
+  require('./triggers.js');
+  require('./cutscenes.js');
+  require('./stages.js');
+  require('./versus.js');
+  require('./replay.js');
+  require('./netplay.js');
+  require('./input.js');
+  require('./screens.js');
+
+  module.exports = globalThis.Karate;
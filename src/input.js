@@ -0,0 +1,423 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Action layer between devices and input frames: logical actions (moveLeft, punch, …) each bound
+  // to one key per scheme ('story' for the stage, 'versus' for two players on one keyboard, 'online').
+  // Keys are KeyboardEvent.key values, lowercased; gamepads and the touch overlay map onto the same actions.
+  // No DOM access; storage, the gamepad list and touch positions are passed in.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { createInputFrame } = Karate;
+
+    // field: the input frame field the action drives; hold: true while down, else one press per step
+    const ACTIONS = {
+      moveLeft: { field: 'left', hold: true, label: '左へ移動' },
+      moveRight: { field: 'right', hold: true, label: '右へ移動' },
+      stanceUp: { field: 'stanceUp', label: '構えを上げる' },
+      stanceDown: { field: 'stanceDown', label: '構えを下げる' },
+      punch: { field: 'punch', label: '突き' },
+      kick: { field: 'kick', label: '蹴り' },
+      guard: { field: 'guard', hold: true, label: 'ガード' },
+      toggleRun: { field: 'toggleRun', label: '走り/構え切替' },
+      target: { field: 'target', label: '標的切替' },
+      skip: { field: 'skip', label: 'ムービースキップ' },
+      restart: { field: 'restart', label: 'リスタート' },
+      retry: { field: 'retry', label: 'チェックポイントから' },
+      debug: { field: 'debug', label: '百裂拳デバッグ' },
+      p2MoveLeft: { field: 'p2Left', hold: true, label: 'P2 左へ移動' },
+      p2MoveRight: { field: 'p2Right', hold: true, label: 'P2 右へ移動' },
+      p2StanceUp: { field: 'p2StanceUp', label: 'P2 構えを上げる' },
+      p2StanceDown: { field: 'p2StanceDown', label: 'P2 構えを下げる' },
+      p2Punch: { field: 'p2Punch', label: 'P2 突き' },
+      p2Kick: { field: 'p2Kick', label: 'P2 蹴り' },
+      p2Guard: { field: 'p2Guard', hold: true, label: 'P2 ガード' }
+    };
+
+    // A scheme binds exactly these actions, in this (help and settings) order
+    const DEFAULT_BINDINGS = {
+      story: {
+        moveLeft: 'arrowleft', moveRight: 'arrowright', stanceUp: 'w', stanceDown: 's', punch: 'j', kick: 'k', guard: 'l',
+        toggleRun: ' ', target: 'u', skip: 'enter', restart: 'r', retry: 'c', debug: 'h'
+      },
+      versus: {
+        moveLeft: 'a', moveRight: 'd', stanceUp: 'w', stanceDown: 's', punch: 'f', kick: 'g', guard: 'e',
+        p2MoveLeft: 'arrowleft', p2MoveRight: 'arrowright', p2StanceUp: 'arrowup', p2StanceDown: 'arrowdown', p2Punch: 'j', p2Kick: 'k', p2Guard: 'l',
+        restart: 'r', debug: 'h'
+      },
+      // One player per keyboard against a remote opponent (netplay.js)
+      online: {
+        moveLeft: 'arrowleft', moveRight: 'arrowright', stanceUp: 'w', stanceDown: 's', punch: 'j', kick: 'k', guard: 'l', restart: 'r'
+      }
+    };
+
+    // Claimed by the page itself (settings, replays); never bindable
+    const RESERVED_KEYS = ['f2', 'f3', 'f8', 'escape'];
+
+    const STORAGE_KEY = 'karatec.bindings';
+
+    const KEY_NAMES = { ' ': 'Space', arrowleft: '←', arrowright: '→', arrowup: '↑', arrowdown: '↓', enter: 'Enter', shift: 'Shift', control: 'Ctrl', alt: 'Alt', tab: 'Tab', backspace: 'Backspace' };
+
+    function keyLabel(key) {
+      if (KEY_NAMES[key]) return KEY_NAMES[key];
+      return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    // Groups of actions sharing a key: [{ key, actions: [id, …] }]
+    function findConflicts(binding) {
+      const byKey = new Map();
+      for (const [action, key] of Object.entries(binding)) {
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(action);
+      }
+      return [...byKey].filter(([, actions]) => actions.length > 1).map(([key, actions]) => ({ key, actions }));
+    }
+
+    // A usable scheme binding: every action of the scheme bound, to a free, non-reserved key
+    function isValidBinding(scheme, binding) {
+      if (binding == null || typeof binding !== 'object') return false;
+      const actions = Object.keys(DEFAULT_BINDINGS[scheme]);
+      if (Object.keys(binding).length !== actions.length) return false;
+      if (!actions.every(a => typeof binding[a] === 'string' && binding[a] && !RESERVED_KEYS.includes(binding[a]))) return false;
+      return findConflicts(binding).length === 0;
+    }
+
+    function defaultBindings() {
+      const out = {};
+      for (const [scheme, binding] of Object.entries(DEFAULT_BINDINGS)) out[scheme] = { ...binding };
+      return out;
+    }
+
+    // Saved bindings from storage; a scheme that is missing, stale or conflicting falls back to its defaults
+    function loadBindings(storage) {
+      const bindings = defaultBindings();
+      let saved = null;
+      try {
+        saved = JSON.parse(storage && storage.getItem(STORAGE_KEY));
+      } catch (err) {
+        saved = null;
+      }
+      if (saved && typeof saved === 'object') {
+        for (const scheme of Object.keys(bindings)) {
+          const binding = withNewActions(scheme, saved[scheme]);
+          if (isValidBinding(scheme, binding)) bindings[scheme] = binding;
+        }
+      }
+      return bindings;
+    }
+
+    // A binding saved before the scheme gained actions: those take their default key if it is still free
+    function withNewActions(scheme, binding) {
+      if (binding == null || typeof binding !== 'object') return binding;
+      const used = Object.values(binding);
+      const out = {};
+      for (const [action, key] of Object.entries(DEFAULT_BINDINGS[scheme])) {
+        if (action in binding) out[action] = binding[action];
+        else if (!used.includes(key)) out[action] = key;
+      }
+      return out;
+    }
+
+    function saveBindings(storage, bindings) {
+      try {
+        if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+      } catch (err) {
+        // full or blocked storage: the bindings last the session
+      }
+    }
+
+    // Bind action to key. A key already used by another action is swapped over to it, so a scheme never
+    // has two actions on one key. Returns { ok, swapped: actionId | null, reason }.
+    function rebind(binding, action, key) {
+      if (!(action in binding)) return { ok: false, swapped: null, reason: `"${action}" is not part of this scheme` };
+      if (RESERVED_KEYS.includes(key)) return { ok: false, swapped: null, reason: `${keyLabel(key)} is reserved` };
+      const other = Object.keys(binding).find(a => a !== action && binding[a] === key) || null;
+      if (other) binding[other] = binding[action];
+      binding[action] = key;
+      return { ok: true, swapped: other, reason: null };
+    }
+
+    // Held and newly pressed actions from held keys and keys pressed since the last step
+    function actionsFromKeys(binding, held, pressed) {
+      const out = { held: new Set(), pressed: new Set() };
+      for (const [action, key] of Object.entries(binding)) {
+        if (held.has(key)) out.held.add(action);
+        if (pressed.has(key)) out.pressed.add(action);
+      }
+      return out;
+    }
+
+    // The step's input frame from every device's actions: hold actions while held, the rest once per press
+    function frameFromActions(held, pressed) {
+      const values = {};
+      for (const [action, def] of Object.entries(ACTIONS)) {
+        if ((def.hold ? held : pressed).has(action)) values[def.field] = true;
+      }
+      return createInputFrame(values);
+    }
+
+    function readFrame(binding, held, pressed) {
+      const actions = actionsFromKeys(binding, held, pressed);
+      return frameFromActions(actions.held, actions.pressed);
+    }
+
+    // One line of "label key" pairs for the help overlay
+    function describeBindings(binding) {
+      return Object.entries(binding).map(([action, key]) => `${ACTIONS[action].label} ${keyLabel(key)}`).join(' / ');
+    }
+
+    // Gamepads, read through the Gamepad API's standard mapping and polled once per frame.
+    // Pad inputs are named 'b<n>' for button n and 'a<n>-' / 'a<n>+' for axis n tilted either way.
+    const PAD = {
+      deadzone: 0.3, // stick tilt below this (from centre) is ignored
+      buttonPress: 0.5, // analog buttons (triggers) count as down from this value
+      assignButton: 8, // Back / Select moves the pad on to the next fighter
+      contextButton: 9 // Start sends whatever fits the moment (see createPadReader)
+    };
+
+    // Player-1 actions; a pad on the second fighter drives the matching p2* action instead
+    const PAD_BINDING = {
+      moveLeft: ['b14', 'a0-'],
+      moveRight: ['b15', 'a0+'],
+      stanceUp: ['b12', 'b4', 'a1-'],
+      stanceDown: ['b13', 'b5', 'a1+'],
+      punch: ['b2'],
+      kick: ['b0'],
+      guard: ['b1', 'b7'],
+      toggleRun: ['b3'],
+      target: ['b6']
+    };
+
+    const PAD_NAMES = {
+      b0: 'A', b1: 'B', b2: 'X', b3: 'Y', b4: 'LB', b5: 'RB', b6: 'LT', b7: 'RT', b8: 'Back', b9: 'Start',
+      b12: '十字↑', b13: '十字↓', b14: '十字←', b15: '十字→', 'a0-': 'スティック←', 'a0+': 'スティック→', 'a1-': 'スティック↑', 'a1+': 'スティック↓'
+    };
+
+    const p2Action = (action) => `p2${action.charAt(0).toUpperCase()}${action.slice(1)}`;
+
+    // Inputs down on one pad snapshot. Sticks are axis pairs with a radial deadzone, and only a stick's
+    // dominant direction counts, so walking on a slight diagonal doesn't also change stance.
+    function padInputs(pad, deadzone = PAD.deadzone) {
+      const active = new Set();
+      pad.buttons.forEach((b, i) => {
+        if (b.pressed || b.value >= PAD.buttonPress) active.add(`b${i}`);
+      });
+      for (let i = 0; i + 1 < pad.axes.length; i += 2) {
+        const x = pad.axes[i];
+        const y = pad.axes[i + 1];
+        if (Math.hypot(x, y) < deadzone) continue;
+        if (Math.abs(x) >= Math.abs(y)) active.add(`a${i}${x < 0 ? '-' : '+'}`);
+        else active.add(`a${i + 1}${y < 0 ? '-' : '+'}`);
+      }
+      return active;
+    }
+
+    // Keeps track of pads across polls. getGamepads returns the current snapshots, like
+    // navigator.getGamepads (Node scripts pass a stand-in). Pads are told apart by index and id, so unplugging
+    // and plugging in shows up as 'disconnected' / 'connected' events. A new pad takes the first fighter
+    // no other pad has; Back cycles it through the fighters and "none" (fighter null).
+    // Start has no fixed action: it presses the one `contextAction()` names for the moment (skip during a
+    // cutscene, retry or restart after a loss), like a tap on the touch overlay, so one button never
+    // fills two fields of a frame.
+    function createPadReader(getGamepads, contextAction = () => null, deadzone = PAD.deadzone) {
+      const pads = new Map(); // gamepad index -> { id, fighter, active }
+      let fighters = 1;
+
+      const freeFighter = () => {
+        for (let i = 0; i < fighters; i++) {
+          if (![...pads.values()].some(p => p.fighter === i)) return i;
+        }
+        return null;
+      };
+
+      const reader = {
+        pads,
+
+        // Put pad `index` on fighter (0, 1 or null). A pad already there takes this pad's old fighter.
+        assign(index, fighter) {
+          const pad = pads.get(index);
+          if (!pad) return false;
+          const other = [...pads.values()].find(p => p !== pad && fighter != null && p.fighter === fighter);
+          if (other) other.fighter = pad.fighter;
+          pad.fighter = fighter;
+          return true;
+        },
+
+        nextFighter(index) {
+          const pad = pads.get(index);
+          if (!pad) return null;
+          return pad.fighter == null ? 0 : pad.fighter + 1 < fighters ? pad.fighter + 1 : null;
+        },
+
+        // actions: the ids the current scheme uses; count: fighters a pad can drive (1 story, 2 versus).
+        // Returns { held, pressed, events }: action sets like actionsFromKeys, and what changed since the last poll.
+        poll(actions, count) {
+          fighters = count;
+          const held = new Set();
+          const pressed = new Set();
+          const events = [];
+          const snapshots = Array.from(getGamepads() || []).filter(gp => gp && gp.connected);
+          // Departures first, so a pad plugged in on the same poll can take the fighter that was freed
+          for (const [index, pad] of [...pads]) {
+            if (snapshots.some(gp => gp.index === index && gp.id === pad.id)) continue;
+            pads.delete(index);
+            events.push({ type: 'disconnected', index, id: pad.id, fighter: pad.fighter });
+          }
+          for (const gp of snapshots) {
+            const now = padInputs(gp, deadzone);
+            let pad = pads.get(gp.index);
+            if (!pad) {
+              // Buttons already down when the pad appears (the press that woke it) don't count as presses
+              pad = { id: gp.id, fighter: null, active: now };
+              pad.fighter = freeFighter();
+              pads.set(gp.index, pad);
+              events.push({ type: 'connected', index: gp.index, id: gp.id, fighter: pad.fighter });
+            }
+            const fresh = new Set([...now].filter(k => !pad.active.has(k)));
+            pad.active = now;
+            if (fresh.has(`b${PAD.assignButton}`)) {
+              reader.assign(gp.index, reader.nextFighter(gp.index));
+              events.push({ type: 'assigned', index: gp.index, id: gp.id, fighter: pad.fighter });
+            }
+            if (pad.fighter == null || pad.fighter >= fighters) continue;
+            for (const [action, inputs] of Object.entries(PAD_BINDING)) {
+              const id = pad.fighter === 0 ? action : p2Action(action);
+              if (!actions.includes(id)) continue;
+              if (inputs.some(k => now.has(k))) held.add(id);
+              if (inputs.some(k => fresh.has(k))) pressed.add(id);
+            }
+            if (fresh.has(`b${PAD.contextButton}`)) {
+              const action = contextAction();
+              if (action && actions.includes(action)) pressed.add(action);
+            }
+          }
+          return { held, pressed, events };
+        }
+      };
+      return reader;
+    }
+
+    // One line of "label buttons" pairs for the actions of `actions` a pad can drive
+    function describePad(actions) {
+      const pairs = Object.entries(PAD_BINDING)
+        .filter(([action]) => actions.includes(action))
+        .map(([action, inputs]) => `${ACTIONS[action].label} ${inputs.map(k => PAD_NAMES[k]).join('/')}`);
+      return [...pairs, `スキップ・再挑戦 ${PAD_NAMES[`b${PAD.contextButton}`]}`, `担当切替 ${PAD_NAMES[`b${PAD.assignButton}`]}`].join(' / ');
+    }
+
+    // Touch: the on-screen overlay reports each pointer with the zone under it. Buttons act on entering
+    // (sliding from punch onto kick kicks); a drag that starts on the open screen is a swipe, one stance
+    // step per `swipe` px of vertical travel, and a short tap there sends the one action `tapAction()` names
+    // for the moment (skip during a cutscene, retry or restart after a loss), or nothing.
+    const TOUCH = {
+      swipe: 40, // px of vertical travel per stance step
+      tapMs: 250, // longest touch that still counts as a tap
+      tapSlop: 12 // px a tap may wander
+    };
+
+    const TOUCH_ZONES = {
+      left: 'moveLeft', right: 'moveRight', punch: 'punch', kick: 'kick', guard: 'guard', run: 'toggleRun'
+    };
+
+    // Pointers are told apart by id, so any number of fingers can be down at once
+    function createTouchReader(tapAction = () => null) {
+      const touches = new Map(); // pointer id -> { zone, x0, y0, anchorY, t0, swiped }
+      let pressed = new Set();
+      let steps = []; // stance steps from swipes, handed out one per poll so a fast swipe keeps them all
+
+      const enter = (zone) => { if (TOUCH_ZONES[zone]) pressed.add(TOUCH_ZONES[zone]); };
+
+      const reader = {
+        touches,
+
+        down(id, zone, x, y, t) {
+          touches.set(id, { zone, x0: x, y0: y, anchorY: y, t0: t, swiped: false });
+          enter(zone);
+        },
+
+        // zone: what is under the pointer now; ignored for swipes, which keep their zone
+        move(id, zone, x, y) {
+          const touch = touches.get(id);
+          if (!touch) return;
+          if (touch.zone === 'screen') {
+            while (Math.abs(y - touch.anchorY) >= TOUCH.swipe) {
+              const up = y < touch.anchorY;
+              steps.push(up ? 'stanceUp' : 'stanceDown');
+              touch.anchorY += up ? -TOUCH.swipe : TOUCH.swipe;
+              touch.swiped = true;
+            }
+            if (Math.hypot(x - touch.x0, y - touch.y0) > TOUCH.tapSlop) touch.swiped = true;
+            return;
+          }
+          const next = zone === 'screen' ? null : zone;
+          if (next !== touch.zone) {
+            touch.zone = next;
+            enter(next);
+          }
+        },
+
+        up(id, t) {
+          const touch = touches.get(id);
+          if (!touch) return;
+          touches.delete(id);
+          if (touch.zone === 'screen' && !touch.swiped && t - touch.t0 <= TOUCH.tapMs) {
+            const action = tapAction();
+            if (action) pressed.add(action);
+          }
+        },
+
+        // The system took the pointer (a gesture, a call coming in): drop it without a tap
+        cancel(id) {
+          touches.delete(id);
+        },
+
+        clear() {
+          touches.clear();
+          pressed = new Set();
+          steps = [];
+        },
+
+        // { held, pressed } limited to `actions`; presses are handed out once
+        poll(actions) {
+          const held = new Set();
+          for (const touch of touches.values()) {
+            const action = TOUCH_ZONES[touch.zone];
+            if (action && actions.includes(action)) held.add(action);
+          }
+          if (steps.length) pressed.add(steps.shift());
+          const out = { held, pressed: new Set([...pressed].filter(a => actions.includes(a))) };
+          pressed = new Set();
+          return out;
+        }
+      };
+      return reader;
+    }
+
+    Object.assign(Karate, {
+      ACTIONS, DEFAULT_BINDINGS, RESERVED_KEYS, keyLabel, findConflicts, isValidBinding,
+      defaultBindings, loadBindings, saveBindings, rebind, actionsFromKeys, frameFromActions, readFrame, describeBindings,
+      PAD, PAD_BINDING, padInputs, createPadReader, describePad, TOUCH, TOUCH_ZONES, createTouchReader
+    });
+  })();
@@ -0,0 +1,381 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Move definitions: frame data, hitboxes and pose keys for every technique.
+  // MOVE_DATA is kept in plain JSON syntax so it can be copied to/from .json files;
+  // loadMoves() accepts the same shape as an object or a JSON string and validates it.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+
+    const MOVE_DATA = {
+      "version": 1,
+      "comboScaling": [1, 0.8, 0.65, 0.5],
+      "poses": {
+        "punchChamber": { "frontArm": { "mode": "add", "up": -0.2, "low": -0.3 } },
+        "punchExtend": { "frontArm": { "up": 0.15, "low": -0.1, "aim": { "high": -0.16, "mid": 0, "low": 0.12 } } },
+        "punchRetract": { "frontArm": { "mode": "add", "up": -0.1, "low": -0.2 } },
+        "reverseChamber": {
+          "frontArm": { "mode": "add", "up": -0.35, "low": -0.25 },
+          "backArm": { "mode": "add", "up": 0.2, "low": -0.4 }
+        },
+        "reverseExtend": {
+          "frontArm": { "mode": "add", "up": -0.45, "low": -0.3 },
+          "backArm": { "up": 0.1, "low": -0.05, "aim": { "high": -0.2, "mid": 0, "low": 0.14 } }
+        },
+        "reverseRetract": { "backArm": { "mode": "add", "up": -0.1, "low": -0.2 } },
+        "kickChamber": { "frontLeg": { "thigh": 0.2, "shin": 1.6, "aim": { "high": -0.12, "mid": 0.06, "low": 0.18 } } },
+        "kickCocked": { "frontLeg": { "thigh": 0.25, "shin": 1.6, "aim": { "high": -0.12, "mid": 0.06, "low": 0.18 } } },
+        "kickExtend": { "frontLeg": { "thigh": 0.05, "shin": 0.1, "aim": { "high": -0.12, "mid": 0.06, "low": 0.18 } } },
+        "kickRetract": { "frontLeg": { "thigh": 0.45, "shin": 1.2, "aim": { "high": -0.12, "mid": 0.06, "low": 0.18 }, "aimScale": 0.5 } },
+        "roundhouseChamber": {
+          "frontLeg": { "thigh": -0.15, "shin": 1.9 },
+          "backLeg": { "mode": "add", "thigh": -0.1 },
+          "frontArm": { "mode": "add", "up": -0.3 }
+        },
+        "roundhouseExtend": {
+          "frontLeg": { "thigh": -0.4, "shin": 0.05 },
+          "backLeg": { "mode": "add", "thigh": -0.15 },
+          "frontArm": { "mode": "add", "up": -0.4, "low": 0.2 }
+        },
+        "roundhouseRetract": { "frontLeg": { "thigh": 0.2, "shin": 1.4 } },
+        "sweepChamber": { "frontLeg": { "thigh": 0.55, "shin": 0.9 }, "backLeg": { "mode": "add", "thigh": 0.15, "shin": 0.2 } },
+        "sweepExtend": { "frontLeg": { "thigh": 0.9, "shin": -0.35 }, "backLeg": { "mode": "add", "thigh": 0.2, "shin": 0.25 } },
+        "sweepRetract": { "frontLeg": { "thigh": 0.8, "shin": 0.6 } },
+        "block": {
+          "frontArm": { "up": -0.55, "low": -1.35, "aim": { "high": -0.35, "mid": 0, "low": 0.45 } },
+          "backArm": { "mode": "add", "up": -0.1, "low": -0.2 }
+        },
+        "stagger": {
+          "frontArm": { "up": -1.2, "low": -0.4 },
+          "backArm": { "up": -1.6, "low": -0.3 },
+          "frontLeg": { "mode": "add", "thigh": -0.15 }
+        },
+        "dizzy": {
+          "frontArm": { "up": 1.2, "low": 0.1 },
+          "backArm": { "up": 1.35, "low": 0.05 },
+          "backLeg": { "mode": "add", "thigh": 0.1, "shin": 0.15 }
+        }
+      },
+      "moves": {
+        "punch": {
+          "name": "追い突き",
+          "command": { "button": "punch" },
+          "limb": "arm",
+          "windup": 110, "active": 90, "recover": 210,
+          "dmg": 10, "chip": 0.2, "hitstun": 160, "blockstun": 80, "knockback": 33.6,
+          "hitbox": [
+            { "at": 0, "reach": 62, "w": 18, "h": 22, "dy": { "low": -6 } },
+            { "at": 1, "reach": 67, "w": 18, "h": 22, "dy": { "low": -6 } }
+          ],
+          "poses": { "windup": "punchChamber", "active": ["guard", "punchExtend"], "recover": "punchRetract" },
+          "cancels": [
+            { "into": ["kick", "roundhouse"], "phase": "recover", "window": [0, 140] }
+          ]
+        },
+        "reversePunch": {
+          "name": "逆突き",
+          "command": { "button": "punch", "dir": "forward" },
+          "limb": "arm",
+          "windup": 140, "active": 90, "recover": 260,
+          "dmg": 14, "chip": 0.25, "hitstun": 200, "blockstun": 100, "knockback": 40,
+          "hitbox": [
+            { "at": 0, "reach": 64, "w": 20, "h": 22, "dy": { "low": -6 } },
+            { "at": 1, "reach": 74, "w": 20, "h": 22, "dy": { "low": -6 } }
+          ],
+          "poses": { "windup": "reverseChamber", "active": ["reverseChamber", "reverseExtend"], "recover": "reverseRetract" },
+          "cancels": [
+            { "into": ["roundhouse"], "phase": "recover", "window": [0, 120] }
+          ]
+        },
+        "kick": {
+          "name": "前蹴り",
+          "command": { "button": "kick" },
+          "limb": "leg",
+          "windup": 160, "active": 110, "recover": 300,
+          "dmg": 16, "chip": 0.2, "hitstun": 160, "blockstun": 80, "knockback": 43.2,
+          "hitbox": [
+            { "at": 0, "reach": 90, "w": 22, "h": 24 },
+            { "at": 1, "reach": 97, "w": 22, "h": 24 }
+          ],
+          "poses": { "windup": "kickChamber", "active": ["kickCocked", "kickExtend"], "recover": "kickRetract" },
+          "cancels": [
+            { "into": ["punch", "reversePunch"], "phase": "recover", "window": [0, 160], "fromHeight": "low", "toHeight": "high" }
+          ]
+        },
+        "roundhouse": {
+          "name": "回し蹴り",
+          "command": { "button": "kick", "dir": "forward" },
+          "limb": "leg",
+          "height": "high",
+          "windup": 220, "active": 110, "recover": 360,
+          "dmg": 22, "chip": 0.3, "hitstun": 260, "blockstun": 120, "knockback": 56,
+          "hitbox": [
+            { "at": 0, "reach": 80, "w": 30, "h": 24, "dy": { "high": -4 } },
+            { "at": 0.5, "reach": 100, "w": 30, "h": 26, "dy": { "high": -4 } },
+            { "at": 1, "reach": 104, "w": 26, "h": 24, "dy": { "high": -2 } }
+          ],
+          "poses": { "windup": "roundhouseChamber", "active": ["roundhouseChamber", "roundhouseExtend"], "recover": "roundhouseRetract" }
+        },
+        "frontSweep": {
+          "name": "足払い",
+          "command": { "button": "kick", "dir": "back" },
+          "limb": "leg",
+          "height": "low",
+          "windup": 120, "active": 100, "recover": 280,
+          "dmg": 8, "chip": 0.15, "hitstun": 320, "blockstun": 90, "knockback": 20,
+          "hitbox": [
+            { "at": 0, "reach": 60, "w": 34, "h": 18, "dy": { "low": 14 } },
+            { "at": 1, "reach": 78, "w": 34, "h": 18, "dy": { "low": 14 } }
+          ],
+          "poses": { "windup": "sweepChamber", "active": ["sweepChamber", "sweepExtend"], "recover": "sweepRetract" },
+          "cancels": [
+            { "into": ["reversePunch", "punch"], "phase": "recover", "window": [0, 200] }
+          ]
+        }
+      }
+    };
+
+    const MOVE_BUTTONS = ['punch', 'kick'];
+    const MOVE_DIRS = ['forward', 'back'];
+    const AIM_HEIGHTS = ['low', 'mid', 'high'];
+    const LIMBS = ['arm', 'leg'];
+    const POSE_PARTS = { frontArm: ['up', 'low'], backArm: ['up', 'low'], frontLeg: ['thigh', 'shin'], backLeg: ['thigh', 'shin'] };
+    const PHASES = ['windup', 'active', 'recover'];
+    const CANCEL_PHASES = ['active', 'recover'];
+    // Built-in pose key: the fighter's normal guard/stance, no adjustment
+    const GUARD_POSE = 'guard';
+
+    const MOVE_DEFAULTS = { chip: 0.2, hitstun: 160, blockstun: 80, cooldown: 120 };
+
+    class MoveDataError extends Error {
+      constructor(problems) {
+        super(`Invalid move data:\n  ${problems.join('\n  ')}`);
+        this.name = 'MoveDataError';
+        this.problems = problems;
+      }
+    }
+
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+    function validatePose(key, pose, problems) {
+      if (!isObj(pose)) { problems.push(`poses.${key} must be an object`); return; }
+      for (const [part, spec] of Object.entries(pose)) {
+        const joints = POSE_PARTS[part];
+        const at = `poses.${key}.${part}`;
+        if (!joints) { problems.push(`${at} is not a pose part (${Object.keys(POSE_PARTS).join(', ')})`); continue; }
+        if (!isObj(spec)) { problems.push(`${at} must be an object`); continue; }
+        if (spec.mode != null && spec.mode !== 'add' && spec.mode !== 'set') problems.push(`${at}.mode must be "add" or "set"`);
+        for (const j of joints) if (spec[j] != null && !isNum(spec[j])) problems.push(`${at}.${j} must be a number`);
+        if (spec.aim != null) {
+          if (!isObj(spec.aim)) problems.push(`${at}.aim must be an object keyed by height`);
+          else for (const [h, v] of Object.entries(spec.aim)) {
+            if (!AIM_HEIGHTS.includes(h) || !isNum(v)) problems.push(`${at}.aim.${h} must be a number for low/mid/high`);
+          }
+        }
+        if (spec.aimScale != null && !isNum(spec.aimScale)) problems.push(`${at}.aimScale must be a number`);
+      }
+    }
+
+    function normalizeMove(id, raw, poses, problems) {
+      const at = `moves.${id}`;
+      if (!isObj(raw)) { problems.push(`${at} must be an object`); return null; }
+      const cmd = raw.command;
+      if (!isObj(cmd) || !MOVE_BUTTONS.includes(cmd.button)) problems.push(`${at}.command.button must be one of ${MOVE_BUTTONS.join(', ')}`);
+      else {
+        if (cmd.dir != null && !MOVE_DIRS.includes(cmd.dir)) problems.push(`${at}.command.dir must be one of ${MOVE_DIRS.join(', ')}`);
+        if (cmd.stance != null && !AIM_HEIGHTS.includes(cmd.stance)) problems.push(`${at}.command.stance must be one of ${AIM_HEIGHTS.join(', ')}`);
+      }
+      if (!LIMBS.includes(raw.limb)) problems.push(`${at}.limb must be one of ${LIMBS.join(', ')}`);
+      if (raw.height != null && !AIM_HEIGHTS.includes(raw.height)) problems.push(`${at}.height must be one of ${AIM_HEIGHTS.join(', ')}`);
+      for (const k of ['windup', 'active', 'recover']) {
+        if (!isNum(raw[k]) || raw[k] <= 0) problems.push(`${at}.${k} must be a positive number (ms)`);
+      }
+      for (const k of ['dmg', 'knockback']) {
+        if (!isNum(raw[k]) || raw[k] < 0) problems.push(`${at}.${k} must be a non-negative number`);
+      }
+      for (const k of ['hitstun', 'blockstun', 'cooldown']) {
+        if (raw[k] != null && (!isNum(raw[k]) || raw[k] < 0)) problems.push(`${at}.${k} must be a non-negative number (ms)`);
+      }
+      for (const k of ['guardDamage', 'stamina']) {
+        if (raw[k] != null && (!isNum(raw[k]) || raw[k] < 0)) problems.push(`${at}.${k} must be a non-negative number`);
+      }
+      if (raw.chip != null && (!isNum(raw.chip) || raw.chip < 0 || raw.chip > 1)) problems.push(`${at}.chip must be a ratio between 0 and 1`);
+
+      const frames = Array.isArray(raw.hitbox) ? raw.hitbox : [];
+      if (!frames.length) problems.push(`${at}.hitbox must be a non-empty array of frames`);
+      frames.forEach((f, i) => {
+        const fa = `${at}.hitbox[${i}]`;
+        if (!isObj(f)) { problems.push(`${fa} must be an object`); return; }
+        if (!isNum(f.at) || f.at < 0 || f.at > 1) problems.push(`${fa}.at must be between 0 and 1 (progress through the active window)`);
+        for (const k of ['reach', 'w', 'h']) if (!isNum(f[k])) problems.push(`${fa}.${k} must be a number`);
+        if (f.dy != null && !isNum(f.dy) && !isObj(f.dy)) problems.push(`${fa}.dy must be a number or an object keyed by height`);
+      });
+
+      const movePoses = isObj(raw.poses) ? raw.poses : {};
+      for (const phase of PHASES) {
+        const spec = movePoses[phase] == null ? GUARD_POSE : movePoses[phase];
+        const keys = Array.isArray(spec) ? spec : [spec];
+        if (!keys.length || keys.length > 2) problems.push(`${at}.poses.${phase} must be a pose key or a [from, to] pair`);
+        for (const k of keys) {
+          if (k !== GUARD_POSE && !(isObj(poses) && Object.prototype.hasOwnProperty.call(poses, k))) problems.push(`${at}.poses.${phase} refers to unknown pose "${k}"`);
+        }
+      }
+
+      const cancels = raw.cancels == null ? [] : raw.cancels;
+      if (!Array.isArray(cancels)) problems.push(`${at}.cancels must be an array`);
+      else cancels.forEach((c, i) => {
+        const ca = `${at}.cancels[${i}]`;
+        if (!isObj(c)) { problems.push(`${ca} must be an object`); return; }
+        const into = Array.isArray(c.into) ? c.into : [c.into];
+        if (!into.length || !into.every(k => typeof k === 'string')) problems.push(`${ca}.into must be a move id or a list of move ids`);
+        if (c.phase != null && !CANCEL_PHASES.includes(c.phase)) problems.push(`${ca}.phase must be one of ${CANCEL_PHASES.join(', ')}`);
+        const w = c.window;
+        if (!Array.isArray(w) || w.length !== 2 || !w.every(isNum) || w[0] > w[1]) problems.push(`${ca}.window must be [startMs, endMs] from the start of the phase`);
+        for (const k of ['fromHeight', 'toHeight']) {
+          if (c[k] != null && !AIM_HEIGHTS.includes(c[k])) problems.push(`${ca}.${k} must be one of ${AIM_HEIGHTS.join(', ')}`);
+        }
+      });
+
+      const dyOf = (dy) => {
+        if (isNum(dy)) return { low: dy, mid: dy, high: dy };
+        const o = isObj(dy) ? dy : {};
+        return { low: o.low || 0, mid: o.mid || 0, high: o.high || 0 };
+      };
+      // Defaults fill fields left out or set to null, so null never reaches the damage maths
+      const filled = Object.fromEntries(Object.entries(MOVE_DEFAULTS).map(([k, v]) => [k, raw[k] != null ? raw[k] : v]));
+      return {
+        ...raw,
+        ...filled,
+        id,
+        name: raw.name || id,
+        // Blocked hits drain the defender's guard meter; twice the damage unless tuned
+        guardDamage: raw.guardDamage != null ? raw.guardDamage : (raw.dmg || 0) * 2,
+        // Stamina spent on each use; heavier techniques cost more unless tuned
+        stamina: raw.stamina != null ? raw.stamina : Math.round(4 + (raw.dmg || 0) * 0.5),
+        command: { button: cmd && cmd.button, dir: (cmd && cmd.dir) || null, stance: (cmd && cmd.stance) || null },
+        height: raw.height || null,
+        cancels: (Array.isArray(cancels) ? cancels : []).filter(isObj).map(c => ({
+          into: Array.isArray(c.into) ? c.into.slice() : [c.into],
+          phase: c.phase || 'recover',
+          window: Array.isArray(c.window) ? c.window.slice() : [0, 0],
+          fromHeight: c.fromHeight || null,
+          toHeight: c.toHeight || null
+        })),
+        hitbox: frames.filter(isObj).map(f => ({ at: f.at, reach: f.reach, w: f.w, h: f.h, dy: dyOf(f.dy) })).sort((a, b) => a.at - b.at),
+        poses: Object.fromEntries(PHASES.map(p => {
+          const spec = movePoses[p] == null ? GUARD_POSE : movePoses[p];
+          return [p, Array.isArray(spec) ? spec.slice() : [spec]];
+        }))
+      };
+    }
+
+    // Parse and validate move data; throws MoveDataError listing every problem found
+    function loadMoves(data) {
+      let raw = data;
+      if (typeof data === 'string') {
+        try {
+          raw = JSON.parse(data);
+        } catch (err) {
+          throw new MoveDataError([`move data is not valid JSON: ${err.message}`]);
+        }
+      }
+      const problems = [];
+      if (!isObj(raw)) throw new MoveDataError(['move data must be an object']);
+      if (!isObj(raw.poses)) problems.push('poses must be an object');
+      else for (const [key, pose] of Object.entries(raw.poses)) validatePose(key, pose, problems);
+      if (!isObj(raw.moves) || !Object.keys(raw.moves).length) problems.push('moves must be a non-empty object');
+      const moves = {};
+      for (const [id, m] of Object.entries(isObj(raw.moves) ? raw.moves : {})) {
+        const move = normalizeMove(id, m, raw.poses, problems);
+        if (move) moves[id] = move;
+      }
+      for (const move of Object.values(moves)) {
+        move.cancels.forEach((c, i) => {
+          for (const k of c.into) if (!moves[k]) problems.push(`moves.${move.id}.cancels[${i}].into refers to unknown move "${k}"`);
+        });
+      }
+      const scaling = raw.comboScaling == null ? [1] : raw.comboScaling;
+      if (!Array.isArray(scaling) || !scaling.length || !scaling.every(v => isNum(v) && v >= 0)) {
+        problems.push('comboScaling must be a non-empty list of damage multipliers (hit 1, hit 2, ...)');
+      }
+      if (problems.length) throw new MoveDataError(problems);
+      return { moves, order: Object.keys(moves), poses: raw.poses, comboScaling: scaling.slice() };
+    }
+
+    // Pick the most specific move whose command matches (dir/stance qualifiers beat plain button)
+    function resolveMove(set, button, context = {}) {
+      let best = null;
+      let bestScore = -1;
+      for (const id of set.order) {
+        const c = set.moves[id].command;
+        if (c.button !== button) continue;
+        if (c.dir && c.dir !== context.dir) continue;
+        if (c.stance && c.stance !== context.stance) continue;
+        const score = (c.dir ? 1 : 0) + (c.stance ? 1 : 0);
+        if (score > bestScore) { best = set.moves[id]; bestScore = score; }
+      }
+      return best;
+    }
+
+    // Cancel rule on the current attack that allows following up with `kind` right now, if any
+    function findCancel(set, attack, kind, height) {
+      const rules = set.moves[attack.kind].cancels;
+      const next = set.moves[kind];
+      if (!next) return null;
+      const aim = next.height || height;
+      return rules.find(c => {
+        if (!c.into.includes(kind)) return false;
+        if (c.fromHeight && c.fromHeight !== attack.height) return false;
+        if (c.toHeight && c.toHeight !== aim) return false;
+        const start = c.phase === 'active' ? attack.windup : attack.windup + attack.active;
+        const t = attack.t - start;
+        return t >= c.window[0] && t <= c.window[1];
+      }) || null;
+    }
+
+    // Damage multiplier for the n-th hit (0-based) of a combo; the last entry repeats
+    function comboScale(set, hitIndex) {
+      const s = set.comboScaling;
+      return s[Math.min(hitIndex, s.length - 1)];
+    }
+
+    // Hitbox for a point in the active window (progress 0..1), interpolated between frames
+    function sampleHitbox(move, progress, height) {
+      const frames = move.hitbox;
+      let a = frames[0];
+      let b = frames[frames.length - 1];
+      for (let i = 0; i < frames.length - 1; i++) {
+        if (progress >= frames[i].at && progress <= frames[i + 1].at) { a = frames[i]; b = frames[i + 1]; break; }
+      }
+      const span = b.at - a.at;
+      const k = span > 0 ? Math.max(0, Math.min(1, (progress - a.at) / span)) : 0;
+      const mix = (p, q) => p + (q - p) * k;
+      return { reach: mix(a.reach, b.reach), w: mix(a.w, b.w), h: mix(a.h, b.h), dy: mix(a.dy[height], b.dy[height]) };
+    }
+
+    Object.assign(Karate, { MOVE_DATA, MOVE_BUTTONS, POSE_PARTS, GUARD_POSE, MoveDataError, loadMoves, resolveMove, findCancel, comboScale, sampleHitbox });
+  })();
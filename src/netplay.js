@@ -0,0 +1,194 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+
+  // Online versus with rollback. Both clients run the same VersusGame from the same seed and send each
+  // other only their inputs, one message per step. A step whose remote input hasn't arrived yet runs on
+  // a prediction (the peer keeps holding what it held, presses are never guessed); when the real input
+  // turns out different, the game is rewound to that step (saveState / loadState) and run forward
+  // again. Local input is applied `delay` steps late, which gives it time to reach the peer and cuts
+  // rollbacks. Every `checksumEvery` steps both sides compare a hash of the settled state, so a desync
+  // is caught instead of silently playing two different fights. No DOM or socket access:
+  //   const net = createNetSession({ sim, player: 0, delay: 2, send: (msg) => ws.send(JSON.stringify(msg)) });
+  //   net.tick(localFrame) once per TICK_MS, net.receive(JSON.parse(event.data)) for every message.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { TICK_MS, PLAYER2_KEYS, clamp, createInputFrame, hashState } = Karate;
+
+    const NETPLAY = {
+      maxRollback: 10, // steps the game may run on predictions before it waits for the peer
+      maxDelay: 6, // steps
+      checksumEvery: 60, // steps between desync checks
+      port: 8787 // default relay port (server/relay.js)
+    };
+
+    // A player's half of a frame: their fighter's buttons, plus restart (either player can ask for a rematch)
+    const NET_KEYS = ['left', 'right', 'stanceUp', 'stanceDown', 'punch', 'kick', 'guard', 'restart'];
+    const HELD_KEYS = ['left', 'right', 'guard'];
+
+    function encodeSide(frame) {
+      let bits = 0;
+      NET_KEYS.forEach((k, i) => { if (frame[k]) bits |= 1 << i; });
+      return bits;
+    }
+
+    const HELD_MASK = encodeSide(createInputFrame(Object.fromEntries(HELD_KEYS.map(k => [k, true]))));
+
+    // Both players' bits ([player 1, player 2]) as one versus input frame
+    function combineSides(bits) {
+      const values = {};
+      bits.forEach((b, player) => {
+        NET_KEYS.forEach((k, i) => {
+          if (!(b & (1 << i))) return;
+          if (k === 'restart') values.restart = true;
+          else values[player === 0 ? k : PLAYER2_KEYS[k]] = true;
+        });
+      });
+      return createInputFrame(values);
+    }
+
+    // sim: a versus simulation both sides created with the same seed; player: 0 or 1 (which fighter is ours)
+    function createNetSession({ sim, player, delay = 2, send }) {
+      const game = sim.game;
+      // Only the versus arena can be rewound; the story Game has no saveState / loadState
+      if (typeof game.saveState !== 'function') throw new Error('rollback needs a VersusGame (createSimulation({ mode: \'versus\' }))');
+      const local = new Map(); // step -> our bits
+      const remote = new Map(); // step -> the peer's bits
+      const predicted = new Map(); // step -> bits assumed for the peer while theirs were missing
+      const saved = new Map(); // step -> game state before the step ran
+      const hashes = new Map(); // checksum step -> hash of the state before it ran
+      const remoteHashes = new Map();
+      let rewindTo = null; // earliest step that ran on a wrong prediction
+
+      const session = {
+        player,
+        delay: clamp(Math.round(delay), 0, NETPLAY.maxDelay),
+        frame: 0, // next step to run
+        remoteFrame: -1, // last step for which the peer's input and all before it have arrived
+        checkedFrame: 0, // last checksum step sent
+        rollbacks: 0,
+        longestRollback: 0, // steps
+        waiting: false, // too far ahead of the peer; the game holds still
+        desync: null, // { frame, local, remote } once the two games disagree
+
+        // One step with this frame as our input; returns false (and runs nothing) while waiting on the peer
+        tick(frame) {
+          if (session.desync) return false;
+          session.rollback();
+          session.waiting = session.frame - session.remoteFrame - 1 >= NETPLAY.maxRollback;
+          if (session.waiting) return false;
+          session.sendInput(session.frame + session.delay, encodeSide(frame));
+          session.run();
+          session.sendChecksums();
+          session.prune();
+          return true;
+        },
+
+        receive(msg) {
+          if (msg.type === 'input') {
+            if (msg.frame <= session.remoteFrame || remote.has(msg.frame)) return;
+            remote.set(msg.frame, msg.bits);
+            while (remote.has(session.remoteFrame + 1)) session.remoteFrame++;
+            if (predicted.has(msg.frame)) {
+              if (predicted.get(msg.frame) !== msg.bits && (rewindTo == null || msg.frame < rewindTo)) rewindTo = msg.frame;
+              predicted.delete(msg.frame);
+            }
+          } else if (msg.type === 'checksum') {
+            remoteHashes.set(msg.frame, msg.hash);
+            session.compare(msg.frame);
+          }
+        },
+
+        sendInput(frame, bits) {
+          local.set(frame, bits);
+          send({ type: 'input', frame, bits });
+        },
+
+        run() {
+          const f = session.frame;
+          saved.set(f, game.saveState());
+          if (f % NETPLAY.checksumEvery === 0) hashes.set(f, hashState(game));
+          let theirs = remote.get(f);
+          if (theirs == null) {
+            theirs = (remote.get(session.remoteFrame) || 0) & HELD_MASK;
+            predicted.set(f, theirs);
+          }
+          const bits = [];
+          bits[player] = local.get(f) || 0;
+          bits[1 - player] = theirs;
+          sim.step(TICK_MS, combineSides(bits));
+          session.frame++;
+        },
+
+        // Rewind to the first mispredicted step and run back up to the present with what is known now
+        rollback() {
+          if (rewindTo == null) return;
+          const from = rewindTo;
+          const to = session.frame;
+          rewindTo = null;
+          game.loadState(saved.get(from));
+          session.frame = from;
+          while (session.frame < to) session.run();
+          session.rollbacks++;
+          session.longestRollback = Math.max(session.longestRollback, to - from);
+        },
+
+        // A checksum step is settled once every input before it is real and has been played
+        sendChecksums() {
+          const settled = Math.min(session.frame - 1, session.remoteFrame + 1);
+          for (let c = session.checkedFrame + NETPLAY.checksumEvery; c <= settled; c += NETPLAY.checksumEvery) {
+            send({ type: 'checksum', frame: c, hash: hashes.get(c) });
+            session.checkedFrame = c;
+            session.compare(c);
+          }
+        },
+
+        compare(c) {
+          if (c > session.checkedFrame || !remoteHashes.has(c)) return;
+          if (hashes.get(c) !== remoteHashes.get(c)) {
+            session.desync = { frame: c, local: hashes.get(c), remote: remoteHashes.get(c) };
+            return;
+          }
+          hashes.delete(c);
+          remoteHashes.delete(c);
+        },
+
+        // Nothing before the first unconfirmed step can be rewound to again (and steps not run yet stay)
+        prune() {
+          const keep = Math.min(session.remoteFrame + 1, session.frame);
+          for (const f of saved.keys()) if (f < keep) saved.delete(f);
+          for (const f of local.keys()) if (f < keep) local.delete(f);
+          for (const f of remote.keys()) if (f < keep && f < session.remoteFrame) remote.delete(f); // the newest stays for predictions
+        }
+      };
+
+      // Steps inside our input delay have no input of ours; say so, or the peer would wait on them forever
+      for (let f = 0; f < session.delay; f++) session.sendInput(f, 0);
+      return session;
+    }
+
+    Object.assign(Karate, { NETPLAY, NET_KEYS, encodeSide, combineSides, createNetSession });
+  })();
@@ -0,0 +1,701 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+  // Canvas renderer for the simulation: reads Game/Fighter state, never mutates it.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { VIEW_W, VIEW_H, POSE_PARTS, GUARD_POSE, clamp, lerp } = Karate;
+
+    // Blend between the previous and current tick (blend 0..1 = progress into the next tick)
+    const interp = (prev, cur, blend) => (prev == null ? cur : lerp(prev, cur, blend));
+
+    const CORPSE_OPACITY = 0.2; // where a defeated fighter's fade stops (Fighter.update); drawn enemies vanish there
+    const VIEW_MARGIN = 200; // px beyond the view edges a fighter may stand and still be drawn
+
+    // Apply one pose key from move data on top of the guard joints.
+    // "add" parts offset the guard, others set absolute angles; aim shifts the first joint per height.
+    function applyPose(base, poses, key, height) {
+      const out = {};
+      for (const part in base) out[part] = { ...base[part] };
+      if (key === GUARD_POSE) return out;
+      const pose = poses[key];
+      for (const part in pose) {
+        const spec = pose[part];
+        const aim = spec.aim ? (spec.aim[height] || 0) * (spec.aimScale ?? 1) : 0;
+        POSE_PARTS[part].forEach((joint, i) => {
+          if (spec[joint] == null) return;
+          const v = spec[joint] + (i === 0 ? aim : 0);
+          out[part][joint] = spec.mode === 'add' ? out[part][joint] + v : v;
+        });
+      }
+      return out;
+    }
+
+    // A phase names one pose, or a [from, to] pair blended by progress k through the phase
+    function movePose(base, poses, keys, height, k) {
+      const from = applyPose(base, poses, keys[0], height);
+      if (keys.length < 2) return from;
+      const to = applyPose(base, poses, keys[1], height);
+      for (const part in from) {
+        for (const joint in from[part]) from[part][joint] = lerp(from[part][joint], to[part][joint], k);
+      }
+      return from;
+    }
+
+    function drawFighter(ctx, f, camX, blend = 1, alpha = f.opacity) {
+      const b = f.getBodyRect();
+      const BX = Math.round(b.x - camX);
+      const BY = Math.round(b.y);
+      const BW = Math.round(b.w);
+      const BH = Math.round(b.h);
+
+      const bowAmount = f.bowAmount || 0;
+
+      ctx.save();
+      ctx.globalAlpha = alpha;
+      ctx.translate(interp(f.prevX, f.x, blend) - f.x, interp(f.prevY, f.y, blend) - f.y + f.depth);
+
+      // Shadow fades as fighter falls
+      const dropDepth = Math.max(0, f.y - f.groundY);
+      const shadowAlpha = 0.35 * Math.max(0, 1 - dropDepth / 220);
+      const shadowRadius = Math.max(12, Math.max(18, BW*0.7) * Math.max(0.35, 1 - dropDepth / 240));
+      const shadowY = f.y + Math.min(50, dropDepth * 0.2) + 4;
+      ctx.fillStyle = `rgba(0,0,0,${shadowAlpha.toFixed(3)})`;
+      ctx.beginPath();
+      ctx.ellipse(BX + BW/2, shadowY, shadowRadius, Math.max(6, 8 - dropDepth * 0.02), 0, 0, Math.PI * 2);
+      ctx.fill();
+
+      const side = f.dir; // 1 facing right, -1 left
+      const outline = '#0b0e12';
+      const giColor = f.giColor;
+      const giShadow = f.giShadow;
+      const skinFront = f.skinTone;
+      const skinBack = f.skinToneShade;
+      const hair = f.hairColor;
+      const accent = f.accentColor;
+      const beltColor = f.beltColor;
+      const wrapColor = f.footWrapColor;
+
+      // Derived anchor points
+      const torsoTop = BY + BH * 0.18;
+      const torsoBot = BY + BH * 0.7;
+      const torsoH = torsoBot - torsoTop;
+      const torsoW = BW * 0.9;
+      const torsoX = BX + BW*0.05;
+      const shoulderY = torsoTop + torsoH * 0.28;
+      const hipY = torsoBot - 2;
+      const shoulderX = BX + (side === 1 ? BW*0.74 : BW*0.26);
+      const hipX = BX + (side === 1 ? BW*0.66 : BW*0.34);
+
+      // Stance and walk shaping
+      const stance = f.stance; // 'low' | 'mid' | 'high'
+      const running = f.running;
+      const baseCrouch = running ? 0 : stance === 'low' ? 8 : stance === 'mid' ? 4 : 0;
+      const bowCrouch = bowAmount * 18;
+      // Breathing: a slow chest rise, heavy panting and a slump when out of stamina
+      const breath = Math.sin(f.breathCycle) * (f.tired ? 2.5 : 0.8) + (f.tired ? 3 : 0);
+      const crouch = baseCrouch + bowCrouch + breath;
+      const baseLean = running ? 0.14 : stance === 'high' ? 0.02 : stance === 'low' ? 0.10 : 0.06;
+      const lean = baseLean + bowAmount * 0.28;
+      const beltY = torsoTop + torsoH*0.58 + crouch*0.3;
+      const walkSwing = Math.sin(f.walkCycle*2) * 0.25;
+
+      // Torso/gi
+      ctx.save();
+      ctx.translate(hipX, (torsoTop + torsoBot)/2 + crouch);
+      ctx.rotate(lean * side);
+      ctx.fillStyle = giColor;
+      ctx.strokeStyle = outline;
+      ctx.lineWidth = 2;
+      ctx.fillRect(-torsoW/2, -torsoH/2, torsoW, torsoH);
+      ctx.strokeRect(-torsoW/2, -torsoH/2, torsoW, torsoH);
+      ctx.fillStyle = 'rgba(0,0,0,0.08)';
+      ctx.fillRect(-torsoW/2 + 4, -torsoH/2 + torsoH*0.3, torsoW - 8, torsoH*0.55);
+      ctx.fillStyle = 'rgba(255,255,255,0.12)';
+      ctx.fillRect(-torsoW/2 + 3, -torsoH/2 + 3, torsoW*0.32, torsoH*0.28);
+      ctx.strokeStyle = outline;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(0, -torsoH/2);
+      ctx.lineTo(-side*torsoW*0.25, -torsoH*0.05);
+      ctx.lineTo(0, torsoH*0.25);
+      ctx.stroke();
+      ctx.restore();
+
+      // Head (with hair and facial features)
+      const headX = BX + BW/2 + side*8;
+      const headY = BY + BH*0.12 + crouch*0.2;
+      const headR = BW*0.34;
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(headX, headY - headR*0.75, headR*1.05, Math.PI, 0);
+      ctx.quadraticCurveTo(headX + headR*1.05, headY - headR*0.1, headX + headR*0.8, headY + headR*0.3);
+      ctx.lineTo(headX - headR*0.8, headY + headR*0.3);
+      ctx.quadraticCurveTo(headX - headR*1.05, headY - headR*0.1, headX - headR*1.05, headY - headR*0.75);
+      ctx.closePath();
+      ctx.fillStyle = hair;
+      ctx.fill();
+      ctx.restore();
+
+      ctx.beginPath();
+      ctx.arc(headX, headY, headR, 0, Math.PI*2);
+      ctx.fillStyle = skinFront;
+      ctx.fill();
+      ctx.strokeStyle = outline;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+
+      ctx.fillStyle = accent;
+      ctx.fillRect(headX - headR*0.8, headY - headR*0.32, headR*1.6, headR*0.18);
+      ctx.strokeStyle = outline;
+      ctx.strokeRect(headX - headR*0.8, headY - headR*0.32, headR*1.6, headR*0.18);
+
+      ctx.beginPath();
+      const earX = headX - side * headR * 0.88;
+      const earY = headY + headR*0.05;
+      ctx.arc(earX, earY, headR*0.3, Math.PI*0.2, Math.PI*1.8);
+      ctx.fillStyle = skinFront;
+      ctx.fill();
+      ctx.strokeStyle = outline;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+
+      const eyeOffset = headR*0.4;
+      const eyeY = headY - headR*0.1;
+      ctx.fillStyle = f.eyeColor;
+      ctx.fillRect(headX - eyeOffset - 3, eyeY - 3, 6, 4);
+      ctx.fillRect(headX + eyeOffset - 3, eyeY - 3, 6, 4);
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(headX - eyeOffset - 2, eyeY - 2, 2, 2);
+      ctx.fillRect(headX + eyeOffset, eyeY - 2, 2, 2);
+
+      ctx.strokeStyle = '#b07457';
+      ctx.lineWidth = 1.3;
+      ctx.beginPath();
+      ctx.moveTo(headX - side*headR*0.05, eyeY + 2);
+      ctx.lineTo(headX + side*headR*0.12, eyeY + headR*0.25);
+      ctx.stroke();
+
+      ctx.strokeStyle = '#b55a58';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(headX, headY + headR*0.35, headR*0.35, 0, Math.PI);
+      ctx.stroke();
+
+      ctx.fillStyle = 'rgba(255,130,130,0.18)';
+      ctx.beginPath();
+      ctx.ellipse(headX - eyeOffset, headY + headR*0.15, headR*0.28, headR*0.18, 0, 0, Math.PI*2);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.ellipse(headX + eyeOffset, headY + headR*0.15, headR*0.28, headR*0.18, 0, 0, Math.PI*2);
+      ctx.fill();
+
+      const upperArm = BH * 0.22;
+      const foreArm  = BH * 0.22;
+      const thigh    = BH * 0.26;
+      const shin     = BH * 0.26;
+      const footL    = BH * 0.16;
+      const thicknessArm = 6;
+      const thicknessLeg = 7;
+
+      const guardFront = { up: -0.15 + walkSwing*0.3, low: -1.0 };
+      const guardBack  = { up: -0.75 - walkSwing*0.2, low: -0.9 };
+      const legFrontA  = { thigh: 0.75 + (stance==='low'?0.15:0) + walkSwing*0.2, shin: 0.85 + (stance==='low'?0.15:0) - walkSwing*0.2, foot: 0.15 };
+      const legBackA   = { thigh: 0.95 + (stance==='low'?0.15:0) - walkSwing*0.2, shin: 0.95 + (stance==='low'?0.15:0) + walkSwing*0.2, foot: -0.05 };
+
+      // Running: arms pump and the stride opens up instead of the guard
+      if (running) {
+        const pump = Math.sin(f.walkCycle * 2);
+        const moving = f.moveDir !== 0 ? 1 : 0.2;
+        Object.assign(guardFront, { up: 1.0 - pump * 0.8 * moving, low: -1.4 });
+        Object.assign(guardBack, { up: 1.0 + pump * 0.8 * moving, low: -1.4 });
+        Object.assign(legFrontA, { thigh: 1.15 - pump * 0.6 * moving, shin: 0.35 + Math.max(0, pump) * 0.7 * moving });
+        Object.assign(legBackA, { thigh: 1.15 + pump * 0.6 * moving, shin: 0.35 + Math.max(0, -pump) * 0.7 * moving });
+      }
+
+      if (bowAmount > 0.001) {
+        guardFront.up = lerp(guardFront.up, 1.15, bowAmount);
+        guardFront.low = lerp(guardFront.low, -1.45, bowAmount);
+        guardBack.up = lerp(guardBack.up, 1.28, bowAmount);
+        guardBack.low = lerp(guardBack.low, -1.5, bowAmount);
+        legFrontA.thigh = lerp(legFrontA.thigh, 0.55, bowAmount * 0.8);
+        legBackA.thigh = lerp(legBackA.thigh, 0.8, bowAmount * 0.8);
+      }
+
+      // Pose keys from move data: the attack's phase, or a defensive/stunned pose
+      let poseKeys = null;
+      let poseHeight = stance;
+      let k = 0;
+      if (f.attack) {
+        const a = f.attack;
+        const move = f.moves.moves[a.kind];
+        let phase = 'recover';
+        k = clamp((a.t - a.windup - a.active) / a.recover, 0, 1);
+        if (a.t < a.windup) { phase = 'windup'; k = a.t / a.windup; }
+        else if (a.t < a.windup + a.active) { phase = 'active'; k = (a.t - a.windup) / a.active; }
+        poseKeys = move.poses[phase];
+        poseHeight = a.height;
+      } else if (f.state === 'guardBreak') {
+        poseKeys = ['dizzy'];
+      } else if (f.state === 'stagger') {
+        poseKeys = ['stagger'];
+      } else if (f.guarding) {
+        poseKeys = ['block'];
+      }
+      if (poseKeys) {
+        const base = { frontArm: guardFront, backArm: guardBack, frontLeg: legFrontA, backLeg: legBackA };
+        const posed = movePose(base, f.moves.poses, poseKeys, poseHeight, k);
+        Object.assign(guardFront, posed.frontArm);
+        Object.assign(guardBack, posed.backArm);
+        Object.assign(legFrontA, posed.frontLeg);
+        Object.assign(legBackA, posed.backLeg);
+      }
+
+      const baseShoulderX = shoulderX + side * 2;
+      const baseShoulderY = shoulderY + crouch;
+      const baseHipX = hipX;
+      const baseHipY = hipY + crouch;
+
+      drawLeg(baseHipX - side*8, baseHipY, legBackA.thigh, legBackA.shin, thicknessLeg, giShadow, skinBack, wrapColor, true);
+      drawArm(baseShoulderX - side*8, baseShoulderY, guardBack.up, guardBack.low, thicknessArm, giShadow, skinBack, true);
+
+      ctx.fillStyle = '#0b0e12';
+      ctx.fillRect(BX + 2, beltY, BW - 4, 4);
+      ctx.fillStyle = beltColor;
+      ctx.fillRect(BX + BW/2 - 16, beltY - 2, 32, 6);
+      ctx.fillStyle = accent;
+      ctx.fillRect(BX + BW/2 - 14, beltY, 28, 3);
+
+      drawArm(baseShoulderX, baseShoulderY, guardFront.up, guardFront.low, thicknessArm, giColor, skinFront, false);
+      drawLeg(baseHipX, baseHipY, legFrontA.thigh, legFrontA.shin, thicknessLeg, giColor, skinFront, wrapColor, false);
+
+      // Guard break: stars circling the head
+      if (f.state === 'guardBreak') {
+        ctx.fillStyle = '#ffd166';
+        for (let i = 0; i < 3; i++) {
+          const ang = f.hitLag * 0.008 + i * Math.PI * 2 / 3;
+          ctx.fillRect(headX + Math.cos(ang) * headR * 1.6 - 2, headY - headR * 1.3 + Math.sin(ang) * headR * 0.5 - 2, 4, 4);
+        }
+      }
+
+      const ar = f.getAttackRect();
+      if (ar) {
+        ctx.fillStyle = 'rgba(255, 160, 48, 0.35)';
+        ctx.fillRect(Math.round(ar.x - camX), Math.round(ar.y), Math.round(ar.w), Math.round(ar.h));
+      }
+
+      ctx.restore();
+
+      function drawArm(sx, sy, aUpper, aLower, th, sleeveColor, skinColor, isBack) {
+        const a1 = aUpper * side;
+        const a2 = (aUpper + aLower) * side;
+        segmentPiece(sx, sy, a1, upperArm, th, sleeveColor, isBack);
+        const elbowX = sx + Math.cos(a1) * upperArm;
+        const elbowY = sy + Math.sin(a1) * upperArm;
+        const clothLen = foreArm * 0.35;
+        segmentPiece(elbowX, elbowY, a2, clothLen, th*0.96, sleeveColor, isBack);
+        const wristX = elbowX + Math.cos(a2) * clothLen;
+        const wristY = elbowY + Math.sin(a2) * clothLen;
+        const skinLen = foreArm - clothLen;
+        segmentPiece(wristX, wristY, a2, skinLen, th*0.9, skinColor, isBack);
+        const handX = wristX + Math.cos(a2) * skinLen;
+        const handY = wristY + Math.sin(a2) * skinLen;
+        drawHand(handX, handY, a2, th, skinColor, isBack);
+      }
+
+      function drawLeg(sx, sy, aThigh, aShin, th, fabricColor, skinColor, wrap, isBack) {
+        const a1 = aThigh * side;
+        const a2 = (aThigh + aShin) * side;
+        segmentPiece(sx, sy, a1, thigh, th, fabricColor, isBack);
+        const kx = sx + Math.cos(a1) * thigh;
+        const ky = sy + Math.sin(a1) * thigh;
+        const clothLen = shin * 0.78;
+        segmentPiece(kx, ky, a2, clothLen, th*0.96, fabricColor, isBack);
+        const ankleX = kx + Math.cos(a2) * clothLen;
+        const ankleY = ky + Math.sin(a2) * clothLen;
+        const ankleSkinLen = Math.max(4, shin - clothLen);
+        segmentPiece(ankleX, ankleY, a2, ankleSkinLen, th*0.88, skinColor, isBack);
+        const footX = ankleX + Math.cos(a2) * ankleSkinLen;
+        const footY = ankleY + Math.sin(a2) * ankleSkinLen;
+        drawFoot(footX, footY, a2, th, skinColor, wrap, isBack);
+      }
+
+      function drawHand(fx, fy, ang, th, color, isBack) {
+        ctx.save();
+        ctx.translate(fx, fy);
+        ctx.rotate(ang);
+        const w = th * 1.4;
+        const h = th * 0.9;
+        ctx.fillStyle = color;
+        ctx.strokeStyle = outline;
+        ctx.lineWidth = 2;
+        ctx.fillRect(-w*0.6, -h/2, w, h);
+        ctx.strokeRect(-w*0.6, -h/2, w, h);
+        ctx.fillStyle = isBack ? 'rgba(0,0,0,0.12)' : 'rgba(255,255,255,0.12)';
+        ctx.fillRect(-w*0.4, -h*0.4, w*0.35, h*0.3);
+        ctx.restore();
+      }
+
+      function drawFoot(fx, fy, ang, th, skinColor, wrap, isBack) {
+        ctx.save();
+        ctx.translate(fx, fy);
+        ctx.rotate(ang);
+        const footLen = footL * 0.95;
+        ctx.fillStyle = skinColor;
+        ctx.strokeStyle = outline;
+        ctx.lineWidth = 2;
+        ctx.fillRect(-footLen*0.25, -th*0.45, footLen, th*0.9);
+        ctx.strokeRect(-footLen*0.25, -th*0.45, footLen, th*0.9);
+        ctx.fillStyle = wrap;
+        ctx.fillRect(footLen*0.1, -th*0.45, footLen*0.28, th*0.9);
+        ctx.fillStyle = isBack ? 'rgba(0,0,0,0.1)' : 'rgba(255,255,255,0.12)';
+        ctx.fillRect(-footLen*0.2, -th*0.35, footLen*0.18, th*0.28);
+        ctx.restore();
+      }
+
+      function segmentPiece(sx, sy, ang, len, th, fill, isBack) {
+        ctx.save();
+        ctx.translate(sx, sy);
+        ctx.rotate(ang);
+        ctx.fillStyle = fill;
+        ctx.strokeStyle = outline;
+        ctx.lineWidth = 2;
+        ctx.fillRect(0, -th/2, len, th);
+        ctx.strokeRect(0, -th/2, len, th);
+        ctx.fillStyle = isBack ? 'rgba(0,0,0,0.12)' : 'rgba(255,255,255,0.12)';
+        ctx.fillRect(len*0.05, -th/2 + 1, len*0.2, th-2);
+        ctx.restore();
+      }
+    }
+
+    function drawPigeon(ctx, bird, camX, blend = 1) {
+      const alpha = bird.opacity;
+      if (alpha <= 0) return;
+      ctx.save();
+      ctx.globalAlpha = alpha;
+      const sx = Math.round(interp(bird.prevX, bird.x, blend) - camX);
+      const sy = Math.round(interp(bird.prevY, bird.y, blend));
+      ctx.translate(sx, sy);
+      ctx.fillStyle = '#d9dde4';
+      ctx.strokeStyle = '#0b0e12';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(-26, -6);
+      ctx.quadraticCurveTo(0, -22, 26, -6);
+      ctx.quadraticCurveTo(4, 2, -26, -6);
+      ctx.fill();
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.ellipse(0, 0, 18, 12, 0, 0, Math.PI * 2);
+      ctx.fillStyle = '#c2c6cf';
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = '#f8a03c';
+      ctx.beginPath();
+      ctx.moveTo(16, -2);
+      ctx.lineTo(26, 0);
+      ctx.lineTo(16, 2);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Dark raptor skimming along at its height band, wings beating fast
+    function drawHawk(ctx, hawk, camX, blend = 1) {
+      if (hawk.opacity <= 0) return;
+      ctx.save();
+      ctx.globalAlpha = hawk.opacity;
+      ctx.translate(Math.round(interp(hawk.prevX, hawk.x, blend) - camX), Math.round(interp(hawk.prevY, hawk.y, blend)));
+      ctx.scale(hawk.dir, 1);
+      const flap = Math.sin(hawk.timer * 0.03) * 12;
+      ctx.strokeStyle = '#0b0e12';
+      ctx.lineWidth = 2;
+      ctx.fillStyle = '#6b4a2e';
+      ctx.beginPath();
+      ctx.moveTo(-6, -4);
+      ctx.quadraticCurveTo(-20, -18 - flap, -40, -10 - flap);
+      ctx.quadraticCurveTo(-22, -2, -6, 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.ellipse(0, 0, 22, 9, 0, 0, Math.PI * 2);
+      ctx.fillStyle = '#54391f';
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = '#e8dcc4';
+      ctx.beginPath();
+      ctx.arc(18, -3, 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = '#f2b134';
+      ctx.beginPath();
+      ctx.moveTo(23, -4);
+      ctx.lineTo(31, 0);
+      ctx.lineTo(23, 1);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = '#54391f';
+      ctx.beginPath();
+      ctx.moveTo(-20, -2);
+      ctx.lineTo(-34, -6);
+      ctx.lineTo(-34, 6);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Iron grille hanging from above; rattles while it is about to drop
+    function drawPortcullis(ctx, gate, camX, blend = 1) {
+      const shake = gate.state === 'warn' ? Math.sin(gate.timer * 0.09) * 2 : 0;
+      const x = Math.round(interp(gate.prevX, gate.x, blend) - camX + shake);
+      const bottom = Math.round(interp(gate.prevY, gate.y, blend));
+      const top = bottom - gate.height;
+      const left = x - gate.width / 2;
+      ctx.save();
+      ctx.globalAlpha = gate.opacity;
+      ctx.fillStyle = '#1b222c';
+      ctx.fillRect(left - 6, 0, 6, gate.groundY);
+      ctx.fillRect(left + gate.width, 0, 6, gate.groundY);
+      ctx.strokeStyle = '#4a5566';
+      ctx.lineWidth = 5;
+      ctx.beginPath();
+      for (let bx = left + 6; bx <= left + gate.width - 4; bx += 11) {
+        ctx.moveTo(bx, Math.max(0, top));
+        ctx.lineTo(bx, bottom - 8);
+      }
+      for (let by = bottom - 28; by > Math.max(0, top); by -= 36) {
+        ctx.moveTo(left, by);
+        ctx.lineTo(left + gate.width, by);
+      }
+      ctx.stroke();
+      ctx.fillStyle = '#6b7687';
+      for (let bx = left + 6; bx <= left + gate.width - 4; bx += 11) {
+        ctx.beginPath();
+        ctx.moveTo(bx - 3, bottom - 8);
+        ctx.lineTo(bx, bottom);
+        ctx.lineTo(bx + 3, bottom - 8);
+        ctx.closePath();
+        ctx.fill();
+      }
+      ctx.restore();
+    }
+
+    // Entity drawers by Entity.type; types without one are simulated but not drawn
+    const ENTITY_RENDERERS = { pigeon: drawPigeon, hawk: drawHawk, portcullis: drawPortcullis };
+
+    // Marks the player's target when several enemies are engaged
+    function drawTargetMarker(ctx, f, camX, blend) {
+      const x = interp(f.prevX, f.x, blend) - camX;
+      const y = interp(f.prevY, f.y, blend) + f.depth - f.height - 26;
+      ctx.save();
+      ctx.fillStyle = '#ffd166';
+      ctx.globalAlpha = 0.85;
+      ctx.beginPath();
+      ctx.moveTo(x - 8, y - 10);
+      ctx.lineTo(x + 8, y - 10);
+      ctx.lineTo(x, y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.restore();
+    }
+
+    function drawEntities(ctx, game, layer, camX, blend) {
+      for (const e of game.entities) {
+        const draw = ENTITY_RENDERERS[e.type];
+        if (draw && e.layer === layer) draw(ctx, e, camX, blend);
+      }
+    }
+
+    function drawScene(ctx, game, blend = 1) {
+      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+      const theme = game.stage.theme;
+      const groundY = game.groundY;
+      const skyGrad = ctx.createLinearGradient(0, 0, 0, VIEW_H);
+      skyGrad.addColorStop(0, theme.sky[0]);
+      skyGrad.addColorStop(1, theme.sky[1]);
+      ctx.fillStyle = skyGrad;
+      ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+
+      const cam = interp(game.prevCameraX, game.cameraX, blend);
+      drawHills(cam * 0.25, 0.15, theme.hills[0]);
+      drawHills(cam * 0.5,  0.25, theme.hills[1]);
+
+      ctx.fillStyle = theme.ground;
+      ctx.fillRect(0, groundY + 8, VIEW_W, VIEW_H - (groundY + 8));
+      ctx.fillStyle = theme.groundEdge;
+      ctx.fillRect(0, groundY, VIEW_W, 10);
+      ctx.fillStyle = theme.groundLines;
+      for (let i = -100; i < VIEW_W + 100; i += 24) {
+        const ix = ((i + (-(cam % 24))) | 0);
+        ctx.fillRect(ix, groundY + 10, 18, 2);
+      }
+
+      if (game.sea) drawSea(ctx, game, cam);
+
+      // Fighters far to near; front-layer entities go just in front of whoever is drawn before the player
+      drawEntities(ctx, game, 'back', cam, blend);
+      // Every enemy in view, engaged or not (walking in, waiting in a group, cutscene actors); the
+      // defeated ones until their fade reaches the corpse floor
+      const inView = (f) => f.x > cam - VIEW_MARGIN && f.x < cam + VIEW_W + VIEW_MARGIN;
+      const shown = game.enemies.filter(e => (e.alive || e.opacity > CORPSE_OPACITY) && inView(e));
+      const fighters = [...shown, game.player].sort((a, b) => a.depth - b.depth || (a === game.player) - (b === game.player));
+      for (const f of fighters) {
+        if (f === game.player) drawEntities(ctx, game, 'front', cam, blend);
+        const alpha = f.alive || f === game.player ? f.opacity : (f.opacity - CORPSE_OPACITY) / (1 - CORPSE_OPACITY);
+        drawFighter(ctx, f, cam, blend, alpha);
+      }
+      if (game.engaged.length > 1 && game.activeEnemy) drawTargetMarker(ctx, game.activeEnemy, cam, blend);
+
+      if (game.splashTimer > 0) drawSplash(ctx, game, cam);
+
+      function drawHills(cx, scale, color) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        const baseY = groundY - 160*scale;
+        ctx.moveTo(-1000, VIEW_H);
+        for (let i = -1; i <= 8; i++) {
+          const peakX = i * 420 - (cx % 420);
+          const peakY = baseY - 60 * (0.5 + Math.sin(i*1.7)*0.5) * scale;
+          ctx.quadraticCurveTo(peakX - 140, baseY + 30*scale, peakX, peakY);
+          ctx.quadraticCurveTo(peakX + 140, baseY + 30*scale, peakX + 280, baseY);
+        }
+        ctx.lineTo(VIEW_W + 1000, VIEW_H);
+        ctx.closePath();
+        ctx.fill();
+      }
+    }
+
+    function drawSea(ctx, game, cam) {
+      const sea = game.sea;
+      const shoreX = sea.edgeX - cam;
+      const seaStart = shoreX - sea.width;
+      if (shoreX > VIEW_W) return;
+
+      const colors = game.stage.theme.sea;
+      const surface = sea.surfaceY;
+      const seaGrad = ctx.createLinearGradient(0, surface, 0, VIEW_H);
+      seaGrad.addColorStop(0, colors[0]);
+      seaGrad.addColorStop(0.4, colors[1]);
+      seaGrad.addColorStop(1, colors[2]);
+
+      ctx.fillStyle = seaGrad;
+      ctx.fillRect(seaStart - 40, surface, sea.width + 80, VIEW_H - surface);
+
+      ctx.fillStyle = '#193f5c';
+      ctx.fillRect(seaStart - 40, surface - 6, sea.width + 80, 6);
+
+      ctx.fillStyle = '#213448';
+      ctx.fillRect(shoreX - 8, game.groundY - 60, 12, 70);
+      ctx.fillStyle = '#141d28';
+      ctx.fillRect(shoreX - 20, game.groundY - 12, 28, 12);
+
+      ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+      ctx.lineWidth = 2;
+      for (let i = 0; i < 4; i++) {
+        const waveY = surface + 18 + i * 24;
+        ctx.beginPath();
+        for (let x = seaStart - 40; x <= seaStart + sea.width + 30; x += 24) {
+          const phase = ((game.time || 0) * 0.002 + i * 0.8);
+          const offset = Math.sin((x + phase * 60) * 0.03) * 6;
+          ctx.lineTo(x, waveY + offset);
+        }
+        ctx.stroke();
+      }
+    }
+
+    function drawSplash(ctx, game, cam) {
+      const sea = game.sea;
+      const shoreX = sea.edgeX - cam - sea.width * 0.5;
+      const splashBaseX = shoreX + sea.width * 0.5;
+      const splashY = sea.surfaceY + 8;
+      const life = clamp(game.splashTimer / 420, 0, 1);
+      const height = 22 * life;
+      const spread = 90 * (1 - Math.pow(1 - life, 2));
+
+      ctx.strokeStyle = `rgba(255,255,255,${0.45 * life})`;
+      ctx.lineWidth = 3 * life;
+      ctx.beginPath();
+      ctx.moveTo(splashBaseX - spread * 0.5, splashY);
+      ctx.quadraticCurveTo(splashBaseX, splashY - height, splashBaseX + spread * 0.5, splashY);
+      ctx.stroke();
+
+      ctx.fillStyle = `rgba(255,255,255,${0.22 * life})`;
+      ctx.beginPath();
+      ctx.ellipse(splashBaseX, splashY + 10, 26 + spread * 0.15, 6 + life * 4, 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Menu screens (screens.js) over the scene: the scene is dimmed, then a heading, info lines and
+    // the items, the selected one marked. `hint` sits at the bottom.
+    function drawMenu(ctx, { title, lines = [], items = [], index = 0, hint = '', dim = 0.6 }) {
+      ctx.fillStyle = `rgba(11,14,18,${dim})`;
+      ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+      ctx.save();
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.shadowColor = 'rgba(0,0,0,0.5)';
+      ctx.shadowBlur = 8;
+      const cx = VIEW_W / 2;
+      let y = VIEW_H * 0.3 - (lines.length + items.length) * 12;
+      ctx.fillStyle = '#e7ecef';
+      ctx.font = '700 44px system-ui, sans-serif';
+      ctx.fillText(title, cx, y);
+      y += 58;
+      ctx.font = '18px system-ui, sans-serif';
+      ctx.fillStyle = '#aab7c4';
+      for (const line of lines) {
+        ctx.fillText(line, cx, y);
+        y += 28;
+      }
+      y += 16;
+      ctx.font = '600 24px system-ui, sans-serif';
+      items.forEach((label, i) => {
+        const on = i === index;
+        ctx.fillStyle = on ? '#ffd166' : '#e7ecef';
+        ctx.fillText(on ? `▶ ${label} ◀` : label, cx, y);
+        y += 42;
+      });
+      if (hint) {
+        ctx.font = '14px system-ui, sans-serif';
+        ctx.fillStyle = '#8796a6';
+        ctx.fillText(hint, cx, VIEW_H - 40);
+      }
+      ctx.restore();
+    }
+
+    // Screen transitions: 0 clear .. 1 black
+    function drawFade(ctx, amount) {
+      if (amount <= 0) return;
+      ctx.fillStyle = `rgba(0,0,0,${clamp(amount, 0, 1)})`;
+      ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+    }
+
+    Object.assign(Karate, { drawFighter, drawPigeon, drawHawk, drawPortcullis, ENTITY_RENDERERS, drawScene, drawMenu, drawFade });
+  })();
@@ -0,0 +1,158 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Deterministic replays: export the Game's input recording, play it back through the
+  // same createSimulation().step path and check the final state hash.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { createSimulation, decodeInput, hashState, clamp } = Karate;
+
+    const REPLAY_FORMAT = 'karatec-replay';
+    const REPLAY_VERSION = 1;
+    const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+    function summarize(game) {
+      const fighter = (f) => ({ name: f.name, hp: f.hp, x: f.x, y: f.y, alive: f.alive });
+      return {
+        state: game.state,
+        loseReason: game.loseReason,
+        player: fighter(game.player),
+        enemies: game.enemies.map(fighter)
+      };
+    }
+
+    // Snapshot the live game's recording into a JSON-ready replay
+    function exportReplay(game) {
+      if (!game.recording) throw new Error('exportReplay: game was created without { record: true }');
+      const { seed, record, ...config } = game.config;
+      return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        seed: game.seed,
+        config,
+        frames: game.recording.map(f => f.slice()),
+        final: { hash: hashState(game), ...summarize(game) }
+      };
+    }
+
+    function parseReplay(data) {
+      const replay = typeof data === 'string' ? JSON.parse(data) : data;
+      if (!replay || replay.format !== REPLAY_FORMAT) throw new Error('Not a karatec replay file');
+      if (replay.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${replay.version}`);
+      if (!Array.isArray(replay.frames)) throw new Error('Replay has no frames');
+      for (const f of replay.frames) {
+        if (!Array.isArray(f) || f.length !== 3 || !f.every(Number.isFinite)) throw new Error('Malformed replay frame');
+      }
+      return replay;
+    }
+
+    function createReplayPlayer(data) {
+      const replay = parseReplay(data);
+      const frames = replay.frames;
+      const sim = createSimulation({ ...replay.config, seed: replay.seed });
+      const totalFrames = frames.reduce((n, f) => n + f[2], 0);
+      let cursor = 0;   // index into frames
+      let repeat = 0;   // steps already taken from frames[cursor]
+      let acc = 0;      // wall-clock ms owed to the simulation
+
+      const player = {
+        replay,
+        sim,
+        paused: false,
+        speed: 1,
+        frame: 0,
+        totalFrames,
+        done: false,
+        mismatch: false,
+        result: null,
+
+        setSpeed(v) {
+          player.speed = clamp(v, REPLAY_SPEEDS[0], REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1]);
+        },
+
+        // Move one entry along REPLAY_SPEEDS (dir -1 slower, +1 faster)
+        shiftSpeed(dir) {
+          const i = REPLAY_SPEEDS.indexOf(player.speed);
+          const next = REPLAY_SPEEDS[clamp((i < 0 ? 2 : i) + dir, 0, REPLAY_SPEEDS.length - 1)];
+          player.speed = next;
+        },
+
+        togglePause() { player.paused = !player.paused; },
+
+        stepFrame() {
+          if (player.done) return;
+          if (cursor < frames.length) {
+            const [dt, bits, count] = frames[cursor];
+            sim.step(dt, decodeInput(bits));
+            player.frame++;
+            if (++repeat >= count) { cursor++; repeat = 0; }
+          }
+          if (cursor >= frames.length) finish();
+        },
+
+        // Feed wall-clock time; steps as many recorded frames as the speed allows
+        advance(realDt) {
+          if (player.paused || player.done) return;
+          acc += realDt * player.speed;
+          while (!player.done && cursor < frames.length && acc >= frames[cursor][0]) {
+            acc -= frames[cursor][0];
+            player.stepFrame();
+          }
+          if (cursor >= frames.length) finish();
+        },
+
+        // Progress into the next recorded frame, for render interpolation
+        get blend() {
+          if (player.done || cursor >= frames.length || frames[cursor][0] <= 0) return 1;
+          return clamp(acc / frames[cursor][0], 0, 1);
+        },
+
+        runToEnd() {
+          while (!player.done) player.stepFrame();
+          return player.result;
+        }
+      };
+
+      function finish() {
+        if (player.done) return;
+        player.done = true;
+        const hash = hashState(sim.game);
+        const expected = replay.final ? replay.final.hash : null;
+        player.mismatch = expected != null && expected !== hash;
+        player.result = { match: !player.mismatch, hash, expected, final: summarize(sim.game) };
+      }
+
+      if (totalFrames === 0) finish();
+      return player;
+    }
+
+    // Headless verification: run a replay to completion and compare hashes
+    function playReplay(data) {
+      return createReplayPlayer(data).runToEnd();
+    }
+
+    Object.assign(Karate, { REPLAY_SPEEDS, exportReplay, parseReplay, createReplayPlayer, playReplay });
+  })();
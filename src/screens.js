@@ -0,0 +1,115 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Screens: the presenter's state machine around the simulation (title, mode select, options, playing,
+  // pause, results). Each screen is { enter(from), leave(to), update(dt), draw() }, all optional but
+  // draw; the machine runs the current one and fades through black on every change. Screens read
+  // their own input and should ignore it while `leaving`, so a menu can't be used twice.
+  //   const screens = createScreenMachine({ title: {...}, playing: {...} }, 'title');
+  //   screens.update(frameMs); screens.draw(); drawFade(ctx, screens.fade);
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { clamp } = Karate;
+
+    const SCREEN_FADE = {
+      outMs: 180,
+      inMs: 240
+    };
+
+    // onSwitch(to, from) runs after each change, e.g. to show or hide page elements
+    function createScreenMachine(screens, initial, onSwitch = null) {
+      if (!screens[initial]) throw new Error(`unknown screen "${initial}"`);
+      const machine = {
+        current: initial,
+        next: null, // where the fade-out leads
+        fade: 0, // 0 clear .. 1 black
+        phase: 'idle', // 'out' | 'in' | 'idle'
+
+        // Fade over to `name`; a change asked for mid-fade takes over from the current darkness
+        go(name) {
+          if (!screens[name]) throw new Error(`unknown screen "${name}"`);
+          if (name === machine.current && machine.phase !== 'out') return;
+          machine.next = name;
+          machine.phase = 'out';
+        },
+
+        // Fading out towards the next screen
+        get leaving() {
+          return machine.phase === 'out';
+        },
+
+        update(dt) {
+          if (machine.phase === 'out') {
+            machine.fade = clamp(machine.fade + dt / SCREEN_FADE.outMs, 0, 1);
+            if (machine.fade >= 1) switchTo(machine.next);
+          } else if (machine.phase === 'in') {
+            machine.fade = clamp(machine.fade - dt / SCREEN_FADE.inMs, 0, 1);
+            if (machine.fade <= 0) machine.phase = 'idle';
+          }
+          const screen = screens[machine.current];
+          if (screen.update) screen.update(dt);
+        },
+
+        draw() {
+          screens[machine.current].draw();
+        }
+      };
+
+      function switchTo(name) {
+        const from = machine.current;
+        if (screens[from].leave) screens[from].leave(name);
+        machine.current = name;
+        machine.next = null;
+        machine.phase = 'in';
+        if (screens[name].enter) screens[name].enter(from);
+        if (onSwitch) onSwitch(name, from);
+      }
+
+      if (screens[initial].enter) screens[initial].enter(null);
+      if (onSwitch) onSwitch(initial, null);
+      return machine;
+    }
+
+    // A vertical menu: items are { id, label } where label may be a function for live text
+    function createMenu(items) {
+      const menu = {
+        items,
+        index: 0,
+        move(step) {
+          menu.index = (menu.index + step + items.length) % items.length;
+        },
+        get selected() {
+          return items[menu.index];
+        },
+        labels() {
+          return items.map(item => (typeof item.label === 'function' ? item.label() : item.label));
+        }
+      };
+      return menu;
+    }
+
+    Object.assign(Karate, { SCREEN_FADE, createScreenMachine, createMenu });
+  })();
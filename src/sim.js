@@ -0,0 +1,1327 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+  // Headless simulation core: fighters, hazards and game rules.
+  // No DOM access. The browser presenter (render.js, main.js) and Node (headless.js) both drive it.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { MOVE_DATA, loadMoves, resolveMove, findCancel, comboScale, sampleHitbox } = Karate;
+
+    // Utilities
+    const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+    const lerp = (a, b, t) => a + (b - a) * t;
+    const smoothStep = (t) => t * t * (3 - 2 * t);
+
+    // Deep copy of plain data (objects, arrays, primitives) for state snapshots
+    function copyData(v) {
+      if (Array.isArray(v)) return v.map(copyData);
+      if (v && typeof v === 'object') {
+        const out = {};
+        for (const [k, x] of Object.entries(v)) out[k] = copyData(x);
+        return out;
+      }
+      return v;
+    }
+
+    // FNV-1a over a string, used for seeds and state hashes
+    function hashString(str) {
+      let h = 0x811c9dc5;
+      for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+      }
+      return h >>> 0;
+    }
+
+    // Seeds may come from a URL parameter: numbers are used as-is, other strings are hashed
+    function parseSeed(value) {
+      if (value == null || value === '') return null;
+      const str = String(value).trim();
+      return /^\d+$/.test(str) ? Number(str) >>> 0 : hashString(str);
+    }
+
+    const randomSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+    // Seeded PRNG (mulberry32). Every random decision in the simulation goes through one of these.
+    function createRng(seed) {
+      let s = seed >>> 0;
+      const rng = {
+        seed: seed >>> 0,
+        next() {
+          s = (s + 0x6d2b79f5) >>> 0;
+          let t = s;
+          t = Math.imul(t ^ (t >>> 15), t | 1);
+          t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+          return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+        range(a, b) { return a + rng.next() * (b - a); },
+        int(n) { return Math.floor(rng.next() * n); },
+        chance(p) { return rng.next() < p; },
+        pick(list) { return list[rng.int(list.length)]; },
+        get state() { return s; },
+        set state(v) { s = v >>> 0; }
+      };
+      return rng;
+    }
+
+    // World setup (defaults; a stage sets its own ground line and width)
+    const VIEW_W = 1280; // design reference, viewport logical width
+    const VIEW_H = 720;
+    const GROUND_Y = 600;
+    const WORLD_W = 3200;
+
+    // Simulation rate: the game always advances in ticks of this length
+    const TICK_HZ = 60;
+    const TICK_MS = 1000 / TICK_HZ;
+
+    // Collision Rect helpers
+    function rectsOverlap(a, b) {
+      return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+    }
+
+    // Attack timelines, hitboxes and poses come from move data (moves.js)
+    const DEFAULT_MOVES = loadMoves(MOVE_DATA);
+
+    const HEIGHTS = ['low', 'mid', 'high'];
+
+    // What a landed hit carries; moves fill these from their frame data
+    const HIT_DEFAULTS = { dmg: 0, knockback: 0, hitstun: 160, blockstun: 80, chip: 0.2, guardDamage: 0, kind: 'hit', height: 'mid' };
+
+    // Active guard: a fresh guard press within parryWindow of impact parries and staggers the attacker;
+    // blocked hits drain the meter, and an empty meter breaks into a long stun
+    const GUARD = {
+      max: 100,
+      parryWindow: 80,
+      parryStagger: 450,
+      breakStun: 1400,
+      regenPerSec: 28,
+      regenDelay: 700,
+      walkSpeed: 0.6
+    };
+
+    // Stamina ("breath"): attacks, walking in guard and taking hits spend it; standing still and bowing
+    // refill it. Below `tired` attacks slow down and land softer. Between engagements the player also
+    // gets HP back, like catching breath in the original game.
+    const STAMINA = {
+      max: 100,
+      guardWalkPerSec: 14,
+      hitCost: 8,
+      blockCost: 4,
+      regenPerSec: 20,
+      bowRegenPerSec: 45,
+      regenDelay: 400,
+      tired: 25,
+      tiredSpeed: 0.7,
+      tiredDamage: 0.6,
+      restHpPerSec: 5
+    };
+
+    // Running posture: fast and upright, but no attacks, guard or stance changes, and hits taken
+    // while running land much harder. toggleRun switches back and forth after a short settle.
+    const RUN = {
+      speed: 2.1,
+      switchMs: 180,
+      hitTaken: 2.5
+    };
+
+    // Several enemies in one fight take turns: one attacks at a time, and whoever just attacked
+    // rests for restMs while the others get the first chance. Enemies waiting for their turn
+    // stand holdBack px further off.
+    const TURN = {
+      restMs: 900,
+      holdBack: 110
+    };
+
+    // Input buffer: attack and stance presses are kept for windowMs, so one made late in recovery,
+    // in hit lag or in the cooldown after a move still goes through on the first step the fighter can
+    // act. The latest attack press wins. The window is longer than the default move cooldown (120 ms).
+    // createSimulation({ bufferMs }) overrides it (0 = only the step pressed).
+    const BUFFER = {
+      windowMs: 150
+    };
+    const BUFFERED_PRESSES = ['stanceUp', 'stanceDown', 'punch', 'kick'];
+
+    const BOW_RECOVER_MS = 240; // no attacks for this long after a bow ends
+
+    // Input frame: held buttons (left, right, guard) plus one-shot presses for a single step.
+    // The presenter builds these from the keyboard; headless callers build them directly.
+    // Recordings store one bit per field in this order, so only ever append.
+    const INPUT_KEYS = ['left', 'right', 'stanceUp', 'stanceDown', 'punch', 'kick', 'restart', 'debug', 'guard', 'toggleRun', 'skip', 'target',
+      'p2Left', 'p2Right', 'p2StanceUp', 'p2StanceDown', 'p2Punch', 'p2Kick', 'p2Guard', 'retry'];
+
+    // Versus mode: the second player's controls ride in the same frame under these names
+    const PLAYER2_KEYS = { left: 'p2Left', right: 'p2Right', stanceUp: 'p2StanceUp', stanceDown: 'p2StanceDown', punch: 'p2Punch', kick: 'p2Kick', guard: 'p2Guard' };
+
+    function createInputFrame(values = {}) {
+      const frame = {};
+      for (const k of INPUT_KEYS) frame[k] = !!values[k];
+      return frame;
+    }
+
+    const NO_INPUT = Object.freeze(createInputFrame());
+
+    // Player 2's half of a frame as an ordinary input frame
+    function playerTwoInput(frame) {
+      const values = {};
+      for (const [k, p2] of Object.entries(PLAYER2_KEYS)) values[k] = frame[p2];
+      return createInputFrame(values);
+    }
+
+    function encodeInput(frame) {
+      let bits = 0;
+      INPUT_KEYS.forEach((k, i) => { if (frame[k]) bits |= 1 << i; });
+      return bits;
+    }
+
+    function decodeInput(bits) {
+      const values = {};
+      INPUT_KEYS.forEach((k, i) => { values[k] = (bits & (1 << i)) !== 0; });
+      return createInputFrame(values);
+    }
+
+    const SHARED_FIGHTER_FIELDS = ['moves', 'ai'];
+
+    class Fighter {
+      constructor(opts = {}) {
+        this.name = opts.name || 'Fighter';
+        this.x = opts.x || 100;
+        this.groundY = opts.groundY || GROUND_Y;
+        this.y = opts.y || this.groundY;
+        this.dir = opts.dir || 1; // 1 right, -1 left
+        this.enemy = !!opts.enemy;
+        this.human = opts.human != null ? !!opts.human : !this.enemy; // driven by input frames rather than ai.js
+        this.ai = this.enemy ? Karate.resolveAIProfile(opts.ai) : null; // behavior profile, see ai.js
+        this.color = opts.color || '#cde5ff';
+        this.moves = opts.moves || DEFAULT_MOVES;
+        this.maxHp = opts.maxHp || 100;
+        this.hp = this.maxHp;
+        this.width = 36;
+        this.height = 120;
+        this.speed = opts.speed || 180; // px/s
+        this.damage = opts.damage || 1; // multiplier on dealt damage
+        this.chipTaken = opts.chipTaken != null ? opts.chipTaken : 1; // multiplier on chip damage taken through a guard
+        this.stanceIndex = 1; // 0 low, 1 mid, 2 high
+        this.running = !!opts.running; // upright running posture instead of the fighting stance
+        this.state = 'idle';
+        this.stateT = 0;
+        this.alive = true;
+        this.moveDir = 0; // -1 left, 1 right
+        this.intentAttack = null;
+        this.attack = null; // {kind,button,limb,height,t,windup,active,recover,applied,result}
+        this.hitLag = 0;
+        this.attackCooldown = 0;
+        this.guarding = false;
+        this.guardT = 0; // ms since guard went up (parry timing)
+        this.guardMeter = GUARD.max;
+        this.guardDelay = 0; // ms before the meter starts refilling
+        this.stamina = STAMINA.max;
+        this.staminaDelay = 0; // ms after spending before breath comes back
+        this.bufferMs = opts.bufferMs != null ? opts.bufferMs : BUFFER.windowMs;
+        this.buffer = []; // human fighters: recent presses { press, dir, age (ms since the press) } not acted on yet
+        this.breathCycle = 0; // chest rise/fall phase, faster when tired
+        this.combo = 0; // unblocked hits landed in the current chain
+        this.comboTimer = 0; // ms the combo counter stays on screen after the last hit
+        // Palette
+        this.giColor = opts.giColor || '#f5f9ff';
+        this.skinTone = opts.skinTone || (this.enemy ? '#d49c70' : '#f6d2b7');
+        this.skinToneShade = opts.skinToneShade || (this.enemy ? '#c98453' : '#eab28c');
+        this.hairColor = opts.hairColor || (this.enemy ? '#2f241c' : '#3a2417');
+        this.eyeColor = opts.eyeColor || '#1a1a1a';
+        this.beltColor = opts.beltColor || (this.enemy ? '#1f3f7a' : '#c41f3e');
+        this.accentColor = opts.accentColor || (this.enemy ? '#2856a6' : '#d53f4e');
+        this.footWrapColor = opts.footWrapColor || (this.enemy ? '#25344a' : '#27364a');
+        this.giShadow = opts.giShadow || (this.enemy ? '#e0e3ef' : '#e5ecf6');
+        this.opacity = 1;
+        this.group = opts.group || null; // enemies sharing a group join a fight together
+        this.depth = opts.depth || 0; // drawn this many px nearer (+) or further (-) than the fight line; looks only
+        // Animation params
+        this.armExtend = 0; // 0..1 (punch blend)
+        this.legExtend = 0; // 0..1 (kick blend)
+        this.walkCycle = 0; // step cycle
+        this.stepPhase = 0; // 0..1 for step-like footwork
+        // Debug flags (injected by Game each frame)
+        this.debugHyakuretsu = false;
+        this.bowState = null;
+        this.bowAmount = 0;
+        this.hasGreeted = false;
+        this.script = null; // { x, lastX } while a cutscene drives this fighter, see cutscenes.js
+      }
+
+      get stance() { return HEIGHTS[this.stanceIndex]; }
+
+      get tired() { return this.stamina < STAMINA.tired; }
+
+      faceToward(x) { this.dir = x >= this.x ? 1 : -1; }
+
+      canAct() { return this.alive && !this.attack && this.hitLag <= 0; }
+
+      setRunning(on) {
+        if (this.running === on || !this.canAct()) return false;
+        this.running = on;
+        this.guarding = false;
+        this.attackCooldown = Math.max(this.attackCooldown, RUN.switchMs);
+        return true;
+      }
+
+      // kind is a move id; moves with a fixed height ignore the requested aim.
+      // A fresh attack starts a new chain; cancels (cancelInto) keep the combo going.
+      startAttack(kind, height, chained = false) {
+        if (!chained && (!this.canAct() || this.attackCooldown > 0 || this.running)) return false;
+        const move = this.moves.moves[kind];
+        if (!move) return false;
+        if (!chained) this.combo = 0;
+        // Out of breath: the whole technique plays slower and lands softer
+        const tired = this.tired;
+        const pace = tired ? 1 / STAMINA.tiredSpeed : 1;
+        this.spendStamina(move.stamina);
+        this.attack = {
+          kind,
+          button: move.command.button,
+          limb: move.limb,
+          height: move.height || height,
+          t: 0,
+          windup: move.windup * pace,
+          active: move.active * pace,
+          recover: move.recover * pace,
+          tired,
+          applied: false,
+          result: null // 'hit' | 'blocked' once the attack connects
+        };
+        this.state = 'attack';
+        this.stateT = 0;
+        return true;
+      }
+
+      // Button press -> move, qualified by held direction relative to facing and by stance
+      startCommand(button, height, heldDir = 0) {
+        const dir = heldDir === 0 ? null : heldDir === this.dir ? 'forward' : 'back';
+        const move = resolveMove(this.moves, button, { dir, stance: this.stance });
+        if (!move) return false;
+        if (this.attack) return this.cancelInto(move.id, height);
+        return this.startAttack(move.id, height);
+      }
+
+      // Follow-up through an open cancel window; only attacks that landed clean can be cancelled
+      cancelInto(kind, height) {
+        const a = this.attack;
+        if (!a || a.result !== 'hit' || this.hitLag > 0) return false;
+        if (!findCancel(this.moves, a, kind, height)) return false;
+        return this.startAttack(kind, height, true);
+      }
+
+      startBow(durations = {}) {
+        if (!this.alive || this.bowState) return;
+        const defaults = { down: 520, hold: 360, up: 520 };
+        const phases = { ...defaults, ...durations };
+        this.bowState = { phase: 'down', t: 0, durations: phases };
+        this.bowAmount = 0;
+        this.attack = null;
+        this.intentAttack = null;
+        this.hitLag = 0;
+        this.moveDir = 0;
+        this.state = 'bow';
+        this.stateT = 0;
+        this.walkCycle = 0;
+        this.stepPhase = 0;
+        const total = (phases.down || 0) + (phases.hold || 0) + (phases.up || 0);
+        this.attackCooldown = Math.max(this.attackCooldown, total + 160);
+      }
+
+      // End a bow on the spot (a skipped cutscene): upright at once, with only the usual pause after a bow
+      cutBow() {
+        this.bowState = null;
+        this.bowAmount = 0;
+        this.state = 'idle';
+        this.stateT = 0;
+        this.attackCooldown = Math.min(this.attackCooldown, BOW_RECOVER_MS);
+      }
+
+      isBowAnimating() { return !!this.bowState; }
+
+      hasClearedBowPose() { return !this.bowState && this.bowAmount < 0.05; }
+
+      handleBow(dt) {
+        if (this.bowState) {
+          const bs = this.bowState;
+          const durations = bs.durations;
+          bs.t += dt;
+          this.moveDir = 0;
+          this.state = 'bow';
+          this.stateT += dt;
+          this.attack = null;
+          this.intentAttack = null;
+          this.walkCycle = lerp(this.walkCycle, 0, 0.25);
+          this.stepPhase = lerp(this.stepPhase, 0, 0.2);
+          if (bs.phase === 'down') {
+            const downDur = Math.max(1, durations.down || 0);
+            const prog = clamp(bs.t / downDur, 0, 1);
+            this.bowAmount = lerp(this.bowAmount, prog, 0.35);
+            if (bs.t >= downDur) { bs.phase = 'hold'; bs.t = 0; }
+          } else if (bs.phase === 'hold') {
+            const holdDur = Math.max(1, durations.hold || 0);
+            this.bowAmount = lerp(this.bowAmount, 1, 0.22);
+            if (bs.t >= holdDur) { bs.phase = 'up'; bs.t = 0; }
+          } else if (bs.phase === 'up') {
+            const upDur = Math.max(1, durations.up || 0);
+            const prog = clamp(bs.t / upDur, 0, 1);
+            this.bowAmount = lerp(this.bowAmount, Math.max(0, 1 - prog), 0.28);
+            if (bs.t >= upDur) {
+              this.bowState = null;
+              this.state = 'idle';
+              this.stateT = 0;
+              this.bowAmount = lerp(this.bowAmount, 0, 0.28);
+              this.attackCooldown = Math.max(this.attackCooldown, BOW_RECOVER_MS);
+              return true;
+            }
+          }
+          return true;
+        }
+        this.bowAmount = lerp(this.bowAmount, 0, 0.18);
+        return false;
+      }
+
+      // Raise or hold the guard for this tick; only possible while free to act
+      setGuard(on, dt) {
+        const up = on && this.alive && !this.attack && this.hitLag <= 0 && !this.running;
+        this.guardT = up && this.guarding ? this.guardT + dt : 0;
+        this.guarding = up;
+      }
+
+      // 'parry' | 'block' | null for an incoming attack at this height
+      defenseAgainst(height) {
+        if (!this.guarding || this.attack || this.stance !== height || this.guardMeter <= 0) return null;
+        return this.guardT <= GUARD.parryWindow ? 'parry' : 'block';
+      }
+
+      spendStamina(amount) {
+        this.stamina = Math.max(0, this.stamina - amount);
+        this.staminaDelay = STAMINA.regenDelay;
+      }
+
+      recoverStamina(dt, perSec) {
+        if (this.staminaDelay > 0) return;
+        this.stamina = Math.min(STAMINA.max, this.stamina + perSec * dt / 1000);
+      }
+
+      stagger(ms) {
+        this.attack = null;
+        this.combo = 0;
+        this.guarding = false;
+        this.hitLag = Math.max(this.hitLag, ms);
+        this.state = 'stagger';
+        this.stateT = 0;
+      }
+
+      getBodyRect() {
+        const w = this.width;
+        const h = this.height;
+        return { x: this.x - w/2, y: this.y - h, w, h };
+      }
+
+      getHurtRects() {
+        // Split body into three regions for high/mid/low
+        const b = this.getBodyRect();
+        const seg = b.h / 3;
+        return {
+          low:  { x: b.x, y: b.y + seg*2, w: b.w, h: seg },
+          mid:  { x: b.x, y: b.y + seg*1, w: b.w, h: seg },
+          high: { x: b.x, y: b.y + seg*0, w: b.w, h: seg }
+        };
+      }
+
+      getAttackRect() {
+        const a = this.attack;
+        if (!a) return null;
+        if (a.t < a.windup || a.t >= a.windup + a.active) return null;
+        // Hitbox frames are keyed on progress through the active window
+        const box = sampleHitbox(this.moves.moves[a.kind], (a.t - a.windup) / a.active, a.height);
+        const b = this.getBodyRect();
+        const { reach, w, h } = box;
+        const yOffset = b.h/3 * (2 - HEIGHTS.indexOf(a.height));
+        const x = this.dir === 1 ? (b.x + b.w + reach - w/2) : (b.x - reach - w/2);
+        const y = b.y + yOffset + (b.h/3 - h)/2 + box.dy;
+        return { x, y, w, h };
+      }
+
+      // Hit built from the current attack's move data, with optional overrides
+      attackHit(overrides) {
+        const a = this.attack;
+        const move = this.moves.moves[a.kind];
+        const tiredScale = a.tired ? STAMINA.tiredDamage : 1;
+        return {
+          dmg: Math.round(move.dmg * comboScale(this.moves, this.combo) * tiredScale * this.damage),
+          knockback: move.knockback,
+          hitstun: move.hitstun,
+          blockstun: move.blockstun,
+          chip: move.chip,
+          guardDamage: move.guardDamage,
+          kind: a.kind,
+          height: a.height,
+          ...overrides
+        };
+      }
+
+      // Returns 'hit' | 'block' | 'guardBreak' | 'ko'
+      applyHit(hit, blocked) {
+        if (!this.alive) return null;
+        const h = { ...HIT_DEFAULTS, ...hit };
+        const broken = this.state === 'guardBreak' && this.hitLag > 0;
+        let outcome = blocked ? 'block' : 'hit';
+        if (blocked) {
+          // Chip damage, and the block wears down the guard meter
+          this.hp = Math.max(0, this.hp - Math.round(Math.max(1, h.dmg * h.chip) * this.chipTaken));
+          this.hitLag = h.blockstun;
+          this.guardMeter = Math.max(0, this.guardMeter - h.guardDamage);
+          this.guardDelay = GUARD.regenDelay;
+          this.spendStamina(STAMINA.blockCost);
+          if (this.guardMeter <= 0) {
+            outcome = 'guardBreak';
+            this.guarding = false;
+            this.hitLag = GUARD.breakStun;
+          }
+        } else {
+          // Caught running: no guard to absorb it
+          this.hp = Math.max(0, this.hp - (this.running ? Math.round(h.dmg * RUN.hitTaken) : h.dmg));
+          this.hitLag = Math.max(this.hitLag, h.hitstun); // never cuts a guard-break stun short
+          this.spendStamina(STAMINA.hitCost);
+          // Simple knockback
+          this.x += -this.dir * h.knockback;
+        }
+        if (this.hp <= 0) {
+          this.alive = false;
+          this.attack = null;
+          this.guarding = false;
+          this.state = 'dead';
+          return 'ko';
+        }
+        this.state = outcome === 'guardBreak' || broken ? 'guardBreak' : blocked ? 'block' : 'hit';
+        this.stateT = 0;
+        return outcome;
+      }
+
+      update(dt, game, input) {
+        // dt in ms
+        if (!this.alive) {
+          this.armExtend = Math.max(0, this.armExtend - dt * 0.004);
+          this.legExtend = Math.max(0, this.legExtend - dt * 0.004);
+          this.opacity = Math.max(0.2, this.opacity - dt * 0.001);
+          return;
+        }
+
+        this.attackCooldown = Math.max(0, this.attackCooldown - dt);
+        this.hitLag = Math.max(0, this.hitLag - dt);
+        this.comboTimer = Math.max(0, this.comboTimer - dt);
+        this.guardDelay = Math.max(0, this.guardDelay - dt);
+        if (this.guardDelay <= 0 && this.state !== 'guardBreak') {
+          const regen = GUARD.regenPerSec * dt / 1000 * (this.guarding ? 0.5 : 1);
+          this.guardMeter = Math.min(GUARD.max, this.guardMeter + regen);
+        }
+        this.staminaDelay = Math.max(0, this.staminaDelay - dt);
+        this.breathCycle = (this.breathCycle + dt * (this.tired ? 0.012 : 0.004)) % (Math.PI * 2);
+        if (this.human && !this.script) this.bufferPresses(input, dt);
+
+        if (this.hitLag > 0) {
+          // small freeze
+          return;
+        }
+        // Stun over: back to neutral so movement resumes; a broken guard comes back whole
+        if (this.state === 'guardBreak') this.guardMeter = GUARD.max;
+        if (this.state === 'hit' || this.state === 'block' || this.state === 'stagger' || this.state === 'guardBreak') this.state = 'idle';
+
+        if (this.handleBow(dt)) {
+          this.recoverStamina(dt, STAMINA.bowRegenPerSec);
+          return;
+        }
+
+        // Decide movement for player or enemy; a cutscene overrides both
+        if (this.script) this.followScript(dt);
+        else if (this.human) this.handlePlayerInput(dt, input, game);
+        else this.handleAI(dt, game);
+
+        // Integrate movement
+        let vx = 0;
+        if (this.state !== 'attack' && this.state !== 'hit' && this.state !== 'block') {
+          if (this.moveDir !== 0) {
+            vx = this.moveDir * this.speed * (HEIGHTS[this.stanceIndex] === 'low' ? 0.9 : HEIGHTS[this.stanceIndex] === 'high' ? 1.05 : 1);
+            if (this.running) vx = this.moveDir * this.speed * RUN.speed;
+            if (this.enemy) vx *= 0.85; // slower enemies
+            if (this.guarding) {
+              vx *= GUARD.walkSpeed;
+              this.spendStamina(STAMINA.guardWalkPerSec * dt / 1000);
+            }
+            this.state = 'walk';
+            // step-like progression: accelerate phase when moving
+            this.walkCycle += dt * (this.running ? 0.02 : 0.012);
+            this.stepPhase = (this.stepPhase + dt * 0.0025) % 1; // slower foot exchange
+          } else if (!this.attack) {
+            this.state = 'idle';
+            this.recoverStamina(dt, STAMINA.regenPerSec);
+          }
+        }
+        this.x += vx * dt / 1000;
+        const leftLimit = game ? game.getLeftBoundary(this) : 20;
+        const rightLimit = game ? game.getRightBoundary(this) : WORLD_W - 20;
+        this.x = clamp(this.x, leftLimit, rightLimit);
+
+        // Attack timeline
+        if (this.attack) {
+          const a = this.attack;
+          a.t += dt;
+          const extend = a.limb === 'arm' ? 'armExtend' : 'legExtend';
+          // Animate extend
+          if (a.t < a.windup) {
+            this[extend] = lerp(this[extend], 1.0, 0.2);
+          } else if (a.t < a.windup + a.active) {
+            this[extend] = lerp(this[extend], 1.0, 0.35);
+            // Active window: check hit once
+            const self = this;
+            const tryHit = (opts) => {
+              const hitbox = self.getAttackRect();
+              if (!hitbox || !game) return;
+              if (!self.enemy && game.handlePlayerAttackSwing) {
+                const hazardHit = game.handlePlayerAttackSwing(hitbox, self, a, opts);
+                if (hazardHit) {
+                  a.applied = true;
+                  return;
+                }
+              }
+              // Enemies strike the player; the player's technique lands on every enemy it overlaps
+              const foes = game.opponentsOf(self);
+              for (const foe of foes) {
+                if (!foe.alive) continue;
+                const foeHurt = foe.getHurtRects()[a.height];
+                if (!rectsOverlap(hitbox, foeHurt)) continue;
+                const defense = foe.defenseAgainst(a.height);
+                if (defense === 'parry') {
+                  a.result = 'parried';
+                  self.stagger(GUARD.parryStagger);
+                  if (game.pushTempMessage) game.pushTempMessage(game.mode === 'versus' ? `${foe.name} 受け流し!` : foe === game.player ? '受け流し!' : '受け流された!', 700, 0.9);
+                  return;
+                }
+                const blocked = defense === 'block';
+                const outcome = foe.applyHit(self.attackHit(opts), blocked);
+                // Story messages speak to the player; in versus they name the fighter who did it
+                if (outcome === 'guardBreak' && game.pushTempMessage) game.pushTempMessage(game.mode === 'versus' ? `${self.name} 崩した!` : foe === game.player ? '崩された!' : '崩した!', 900, 0.95);
+                // One clean hit makes the technique a hit (and cancellable) even if another foe blocked it
+                if (a.result !== 'hit') a.result = blocked ? 'blocked' : 'hit';
+                // A block drops the chain; clean hits extend it
+                if (blocked) {
+                  self.combo = 0;
+                } else {
+                  self.combo++;
+                  self.comboTimer = 1200;
+                }
+              }
+            };
+
+            // Debug: Hyakuretsu multi-hit during punch active window
+            if (this.debugHyakuretsu && !this.enemy && a.button === 'punch') {
+              a._multiAcc = (a._multiAcc || 0) + dt;
+              const period = 45; // ms per hit
+              while (a._multiAcc >= period) {
+                a._multiAcc -= period;
+                tryHit({ dmg: 8, knockback: 3 });
+              }
+            } else {
+              if (!a.applied) { tryHit(); a.applied = true; }
+            }
+          } else if (a.t < a.windup + a.active + a.recover) {
+            this[extend] = lerp(this[extend], 0.0, 0.18);
+          } else {
+            // End attack
+            this.attack = null;
+            this.attackCooldown = this.moves.moves[a.kind].cooldown; // brief delay
+            this.state = 'idle';
+          }
+        } else {
+          // relax limbs
+          this.armExtend = lerp(this.armExtend, 0.0, 0.25);
+          this.legExtend = lerp(this.legExtend, 0.0, 0.25);
+        }
+
+        if (!game || game.state !== 'falling') {
+          this.opacity = lerp(this.opacity, 1, 0.15);
+          this.y = lerp(this.y, this.groundY, 0.35);
+        }
+      }
+
+      handlePlayerInput(dt, input, game) {
+        this.moveDir = 0;
+        if (input.left) this.moveDir -= 1;
+        if (input.right) this.moveDir += 1;
+        // Direction qualifier for commands, taken before spacing can cancel the movement
+        const heldDir = this.moveDir;
+
+        // Constrain progress to near engaged enemies (prevent running through)
+        const spacing = 32;
+        for (const other of game.opponentsOf(this)) {
+          if (!other.alive) continue;
+          if (other.x >= this.x && this.x + this.width/2 + spacing > other.x - other.width/2) this.moveDir = Math.min(0, this.moveDir);
+          if (other.x < this.x && this.x - this.width/2 - spacing < other.x + other.width/2) this.moveDir = Math.max(0, this.moveDir);
+        }
+        const foe = game.targetOf(this);
+
+        if (input.toggleRun) this.setRunning(!this.running);
+        this.setGuard(input.guard, dt);
+
+        if (this.running) {
+          // Upright: just run, facing the way we go
+          if (heldDir !== 0) this.dir = heldDir;
+          return;
+        }
+
+        // Stance changes: one step per press, including presses buffered through hit lag
+        for (const b of this.buffer) {
+          if (b.press === 'stanceUp') this.stanceIndex = clamp(this.stanceIndex + 1, 0, 2);
+          if (b.press === 'stanceDown') this.stanceIndex = clamp(this.stanceIndex - 1, 0, 2);
+        }
+        this.buffer = this.buffer.filter(b => b.press === 'punch' || b.press === 'kick');
+
+        // Attack: the latest buffered press, tried every step until it starts or expires.
+        // Aim = stance, the direction held at the press picks the technique.
+        const cmd = this.buffer[this.buffer.length - 1];
+        if (cmd && this.startCommand(cmd.press, this.stance, cmd.dir)) {
+          this.buffer = [];
+          if (this.debugHyakuretsu && this.attack.button === 'punch') {
+            this.attack.active = Math.max(this.attack.active, 800);
+            this.attack.recover = Math.min(this.attack.recover, 120);
+          }
+        }
+        if (this.attack) this.guarding = false;
+
+        // Face opponent if exists else face right (progression)
+        if (foe && foe.alive) this.faceToward(foe.x);
+        else this.dir = 1;
+      }
+
+      // Log this step's attack and stance presses with the held direction; drop presses past the window
+      bufferPresses(input, dt) {
+        for (const b of this.buffer) b.age += dt;
+        this.buffer = this.buffer.filter(b => b.age <= this.bufferMs);
+        const dir = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+        for (const press of BUFFERED_PRESSES) {
+          if (input[press]) this.buffer.push({ press, dir, age: 0 });
+        }
+      }
+
+      // Cutscene walk: head for script.x, snapping onto it on the final step; a wall ends the walk early
+      followScript(dt) {
+        const s = this.script;
+        this.guarding = false;
+        this.moveDir = 0;
+        if (s.x == null) return;
+        const stepPx = this.speed * (this.running ? RUN.speed : 1) * dt / 1000;
+        const stuck = s.lastX === this.x;
+        if (stuck || Math.abs(s.x - this.x) <= stepPx) {
+          if (!stuck) this.x = s.x;
+          s.x = null;
+          return;
+        }
+        s.lastX = this.x;
+        this.moveDir = Math.sign(s.x - this.x);
+        this.dir = this.moveDir;
+      }
+
+      // Enemy behavior lives in ai.js, driven by this fighter's profile
+      handleAI(dt, game) {
+        Karate.updateAI(this, dt, game);
+      }
+
+      // Everything needed to rewind this fighter (rollback netplay). Move and AI tables are shared, not copied.
+      saveState() {
+        const out = {};
+        for (const [k, v] of Object.entries(this)) out[k] = SHARED_FIGHTER_FIELDS.includes(k) ? v : copyData(v);
+        return out;
+      }
+
+      loadState(saved) {
+        for (const k of Object.keys(this)) if (!(k in saved)) delete this[k];
+        for (const [k, v] of Object.entries(saved)) this[k] = SHARED_FIGHTER_FIELDS.includes(k) ? v : copyData(v);
+      }
+
+      serialize() {
+        return {
+          name: this.name,
+          x: this.x,
+          y: this.y,
+          dir: this.dir,
+          hp: this.hp,
+          maxHp: this.maxHp,
+          alive: this.alive,
+          state: this.state,
+          stateT: this.stateT,
+          stanceIndex: this.stanceIndex,
+          running: this.running,
+          moveDir: this.moveDir,
+          attack: this.attack ? { ...this.attack } : null,
+          hitLag: this.hitLag,
+          attackCooldown: this.attackCooldown,
+          combo: this.combo,
+          comboTimer: this.comboTimer,
+          guarding: this.guarding,
+          guardT: this.guardT,
+          guardMeter: this.guardMeter,
+          guardDelay: this.guardDelay,
+          stamina: this.stamina,
+          staminaDelay: this.staminaDelay,
+          buffer: this.buffer.map(b => ({ ...b })),
+          breathCycle: this.breathCycle,
+          ai: this.ai ? this.ai.id : null,
+          aiParry: this._aiParry == null ? null : this._aiParry,
+          aiRead: this._aiRead || null,
+          aiFeint: !!this._aiFeint,
+          aiRetreat: this._aiRetreat || 0,
+          bowState: this.bowState ? { ...this.bowState, durations: { ...this.bowState.durations } } : null,
+          bowAmount: this.bowAmount,
+          hasGreeted: this.hasGreeted,
+          group: this.group,
+          depth: this.depth,
+          script: this.script ? { ...this.script } : null,
+          armExtend: this.armExtend,
+          legExtend: this.legExtend,
+          walkCycle: this.walkCycle,
+          stepPhase: this.stepPhase,
+          opacity: this.opacity,
+          aiAtkTimer: this._aiAtkTimer || 0
+        };
+      }
+    }
+
+    class Game {
+      constructor(config = {}) {
+        this.config = config;
+        // Without an explicit seed every reset rolls a fresh one
+        this.seed = config.seed != null ? config.seed >>> 0 : randomSeed();
+        this.rng = createRng(this.seed);
+        // World, roster and hazards come from the stage (stages.js); config.stage may be an object or JSON string
+        const stage = config.stage ? Karate.loadStage(config.stage) : Karate.DEFAULT_STAGE;
+        this.stage = stage;
+        this.worldW = stage.worldWidth;
+        this.groundY = stage.groundY;
+        // Difficulty (difficulty.js) scales the enemies and the chip damage the player takes
+        const difficulty = Karate.resolveDifficulty(config.difficulty);
+        this.difficulty = difficulty;
+        const fighterOpts = (def) => ({ x: def.x, groundY: stage.groundY, ...def.palette, ...def.stats });
+        this.player = new Fighter({ name: 'Player', dir: 1, running: true, bufferMs: config.bufferMs, chipTaken: difficulty.chipTaken, ...fighterOpts(stage.player) });
+        this.enemies = stage.enemies.map(def => new Fighter({ name: def.name, enemy: true, ai: def.ai, group: def.group, depth: def.depth, ...fighterOpts(def) }));
+        for (const e of this.enemies) {
+          e.maxHp = Math.round(e.maxHp * difficulty.enemyHp);
+          e.hp = e.maxHp;
+          e.damage *= difficulty.enemyDamage;
+          e.ai = Karate.applyDifficultyToAI(e.ai, difficulty);
+        }
+        // Custom move data (object or JSON string) applies to every fighter
+        this.moves = config.moves ? loadMoves(config.moves) : DEFAULT_MOVES;
+        for (const f of [this.player, ...this.enemies]) f.moves = this.moves;
+        this.engaged = []; // enemies in the current fight
+        this.activeEnemy = null; // the player's target among them
+        this.turn = { attacker: null, last: null, rest: 0 }; // who may attack next, see TURN
+        this.state = 'playing'; // 'playing' | 'falling' | 'win' | 'lose'
+        this.loseReason = null;
+        this.cameraX = 0;
+        this.time = 0;
+        this.engageRadius = 360; // spawn/engage enemy when within this range
+        this.debugHyakuretsu = false;
+        const sea = stage.hazards.find(h => h.type === 'sea');
+        this.sea = sea ? { edgeX: sea.edgeX, width: sea.width, surfaceY: this.groundY + 96, bottomY: this.groundY + 220 } : null;
+        this.fallAnim = null;
+        this.splashTimer = 0;
+        this.engagement = { state: 'idle', enemy: null, timer: 0 };
+        this.entities = []; // hazards and other non-fighter actors, see entities.js
+        this.triggers = Karate.createTriggerRunner(stage.triggers); // scripted set pieces, see triggers.js
+        this.cameraLock = null; // { minX, maxX } while a trigger holds the camera
+        this.cutscene = null; // the scene playing, see cutscenes.js
+        this.tempMessage = null;
+        // What the enemies have learned about the player's habits (ai.js); config.learningRate 0 disables it.
+        // The difficulty scales how fast they learn.
+        const learningRate = config.learningRate != null ? config.learningRate : Karate.LEARNING_RATE;
+        this.playerModel = Karate.createOpponentModel({ learningRate: Math.min(1, learningRate * difficulty.learningRate) });
+        // Input log since construction/reset, run-length encoded as [dt, bits, count]
+        this.recording = config.record ? [] : null;
+        // Play time of the whole run, failed attempts included: retries carry it over in config.runMs
+        this.runMs = config.runMs || 0;
+        // Where a retry picks up: taken after every defeat, or given as config.checkpoint to start there
+        this.checkpoint = null;
+        if (!config.checkpoint || !this.restoreCheckpoint(config.checkpoint)) this.playCutscene('opening');
+      }
+
+      // From the top; a checkpoint the game was started from is dropped
+      reset() {
+        const { checkpoint, runMs, ...config } = this.config;
+        Object.assign(this, new Game(config));
+      }
+
+      // From the last checkpoint, or from the top without one, keeping the run's time. Both ride in
+      // the config, so the recording (and a replay exported from it) starts there too.
+      retry() {
+        const { checkpoint, runMs, ...config } = this.config;
+        Object.assign(this, new Game({ ...config, ...(this.checkpoint ? { checkpoint: this.checkpoint } : {}), runMs: this.runMs }));
+      }
+
+      // Player HP and position, who is down and how far the triggers got; hazards in flight aren't kept
+      takeCheckpoint() {
+        const defeated = [];
+        this.enemies.forEach((e, i) => { if (!e.alive) defeated.push(i); });
+        this.checkpoint = {
+          stage: this.stage.name,
+          x: this.player.x,
+          hp: this.player.hp,
+          defeated,
+          runMs: this.runMs,
+          triggers: this.triggers.serialize(),
+          cameraLock: this.cameraLock ? { ...this.cameraLock } : null
+        };
+      }
+
+      // Set the fresh game up at a checkpoint instead of the opening; false (and nothing changed)
+      // if it doesn't belong to this stage, e.g. an old save after the stage data changed
+      restoreCheckpoint(cp) {
+        const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+        const fits = cp && cp.stage === this.stage.name && isNum(cp.x) && isNum(cp.hp) && cp.hp > 0 &&
+          Array.isArray(cp.defeated) && cp.defeated.every(i => Number.isInteger(i) && i >= 0 && i < this.enemies.length) &&
+          cp.triggers && isNum(cp.triggers.clock) && Array.isArray(cp.triggers.fired);
+        if (!fits) return false;
+        for (const i of cp.defeated) {
+          const e = this.enemies[i];
+          e.hp = 0;
+          e.alive = false;
+          e.state = 'dead';
+          e.opacity = 0.2;
+        }
+        const p = this.player;
+        p.x = clamp(cp.x, 20, this.worldW - 20);
+        p.prevX = p.x;
+        p.hp = Math.min(p.maxHp, cp.hp);
+        this.triggers.load(cp.triggers);
+        this.cameraLock = cp.cameraLock ? { ...cp.cameraLock } : null;
+        this.cameraX = this.cameraTarget();
+        if (this.config.runMs == null && isNum(cp.runMs)) this.runMs = cp.runMs; // a resumed save
+        this.checkpoint = copyData(cp);
+        return true;
+      }
+
+      getLeftBoundary(fighter) {
+        if (this.state === 'falling' && fighter === this.player) {
+          return this.sea.edgeX - this.sea.width - 120;
+        }
+        let limit = this.cameraLock && fighter === this.player ? this.cameraLock.minX + 20 : 20;
+        for (const solid of this.solidRects()) {
+          if (fighter.x > solid.x + solid.w / 2) limit = Math.max(limit, solid.x + solid.w + fighter.width / 2);
+        }
+        return limit;
+      }
+
+      getRightBoundary(fighter) {
+        let limit = this.cameraLock && fighter === this.player ? Math.min(this.worldW, this.cameraLock.maxX + VIEW_W) - 20 : this.worldW - 20;
+        for (const solid of this.solidRects()) {
+          if (fighter.x <= solid.x + solid.w / 2) limit = Math.min(limit, solid.x - fighter.width / 2);
+        }
+        return limit;
+      }
+
+      // Walls put up by entities (a lowered gate); fighters stay on their side of each
+      solidRects() {
+        const rects = [];
+        for (const e of this.entities) {
+          const r = e.getSolidRect();
+          if (r) rects.push(r);
+        }
+        return rects;
+      }
+
+      // First contact with enemies: a bow if the player meets them in stance, an ambush if running
+      engage(enemies) {
+        if (this.player.running) {
+          for (const e of enemies) {
+            e.hasGreeted = true;
+            e.faceToward(this.player.x);
+          }
+          this.engagement = { state: 'fight', enemy: enemies[0], timer: 0 };
+          this.pushTempMessage('構えろ!', 1200, 0.95);
+        } else {
+          this.beginGreeting(enemies);
+        }
+      }
+
+      // The bow is the stage's "greeting" cutscene with the first enemy; the rest of a group bow alongside
+      beginGreeting(enemies) {
+        const [lead, ...rest] = enemies.filter(e => !e.hasGreeted);
+        if (!lead) return;
+        for (const e of [lead, ...rest]) e.hasGreeted = true;
+        this.engagement = { state: 'greeting', enemy: lead, timer: 0 };
+        if (!this.playCutscene('greeting', lead)) { this.engagement.state = 'fight'; return; }
+        for (const e of rest) {
+          this.cutscene.actor(this, this.enemies.indexOf(e));
+          e.faceToward(this.player.x);
+          e.startBow();
+        }
+      }
+
+      // Bring enemies into the fight, each with its whole group; strangers are greeted (or ambush) first
+      joinFight(enemies) {
+        const fresh = [];
+        for (const e of enemies) {
+          const mates = e.group ? this.enemies.filter(m => m.group === e.group) : [e];
+          for (const m of mates) if (m.alive && !this.engaged.includes(m) && !fresh.includes(m)) fresh.push(m);
+        }
+        if (!fresh.length) return;
+        this.engaged.push(...fresh);
+        const strangers = fresh.filter(e => !e.hasGreeted);
+        if (strangers.length) this.engage(strangers);
+        else if (this.engagement.state === 'idle') this.engagement = { state: 'fight', enemy: fresh[0], timer: 0 };
+      }
+
+      // Keep the player's target while it fights on, else take the nearest; `target` cycles left to right
+      selectTarget(input) {
+        const foes = this.engaged;
+        if (input.target && foes.length > 1) {
+          const order = foes.slice().sort((a, b) => a.x - b.x);
+          this.activeEnemy = order[(order.indexOf(this.activeEnemy) + 1) % order.length];
+        }
+        if (foes.includes(this.activeEnemy)) return;
+        let nearest = null;
+        for (const e of foes) {
+          if (!nearest || Math.abs(e.x - this.player.x) < Math.abs(nearest.x - this.player.x)) nearest = e;
+        }
+        this.activeEnemy = nearest;
+      }
+
+      // Who a fighter's techniques can land on, and who it squares up to
+      opponentsOf(f) {
+        return f === this.player ? this.engaged : [this.player];
+      }
+
+      targetOf(f) {
+        return f === this.player ? this.activeEnemy : this.player;
+      }
+
+      // Whether an enemy may start an attack now (see TURN)
+      canTakeTurn(f) {
+        const t = this.turn;
+        if (this.engaged.length < 2) return true;
+        if (t.attacker && t.attacker !== f) return false;
+        return t.last !== f || t.rest <= 0;
+      }
+
+      takeTurn(f) {
+        this.turn.attacker = f;
+      }
+
+      updateTurn(dt) {
+        const t = this.turn;
+        t.rest = Math.max(0, t.rest - dt);
+        if (t.attacker && (!t.attacker.attack || !t.attacker.alive)) {
+          t.last = t.attacker;
+          t.attacker = null;
+          t.rest = TURN.restMs;
+        }
+      }
+
+      // Start a named scene from the stage; false if it doesn't exist or another scene is playing
+      playCutscene(name, enemy = null) {
+        const steps = this.stage.cutscenes[name];
+        if (!steps || this.cutscene) return false;
+        this.cutscene = Karate.createCutscene(name, steps, enemy);
+        this.cutscene.actor(this, 'player');
+        return true;
+      }
+
+      // Scene ticks replace the playing tick: only the scene's actors move and nothing can hurt anyone
+      // Only skip reaches a cutscene: pads and taps send restart with it, which must not end the run
+      updateCutscene(dt, input) {
+        const scene = this.cutscene;
+        if (input.skip) scene.skip(this);
+        else scene.update(this, dt);
+        for (const f of scene.actors) f.update(dt, this, NO_INPUT);
+        const camX = scene.cameraX();
+        if (camX != null) this.cameraX = camX;
+        else this.followCamera();
+        this.tickTempMessage(dt);
+        if (!scene.done) return;
+        scene.finish();
+        this.cutscene = null;
+        if (scene.name === 'greeting' && this.engagement.state === 'greeting') {
+          const foe = this.engagement.enemy;
+          this.engagement = foe && foe.alive ? { state: 'fight', enemy: foe, timer: 0 } : { state: 'idle', enemy: null, timer: 0 };
+        }
+      }
+
+      followCamera() {
+        this.cameraX = lerp(this.cameraX, this.cameraTarget(), 0.08);
+      }
+
+      // Where the camera settles for the player's position
+      cameraTarget() {
+        const marginLeft = 300;
+        const target = clamp(this.player.x - marginLeft, 0, Math.max(0, this.worldW - VIEW_W));
+        return this.cameraLock ? clamp(target, this.cameraLock.minX, this.cameraLock.maxX) : target;
+      }
+
+      tickTempMessage(dt) {
+        if (this.tempMessage) {
+          this.tempMessage.timer = Math.max(0, this.tempMessage.timer - dt);
+          if (this.tempMessage.timer <= 0) this.tempMessage = null;
+        }
+      }
+
+      // Engage now, wherever the enemy stands, and make it the player's target
+      startFight(enemy) {
+        this.joinFight([enemy]);
+        if (this.engaged.includes(enemy)) this.activeEnemy = enemy;
+      }
+
+      pushTempMessage(text, duration = 1000, opacity = 0.85) {
+        this.tempMessage = { text, timer: duration, opacity };
+      }
+
+      spawnEntity(type, opts = {}) {
+        const entity = new Karate.ENTITY_TYPES[type](this, opts);
+        this.entities.push(entity);
+        return entity;
+      }
+
+      // Player attacks strike every entity hurtbox they overlap; true if any was hit
+      handlePlayerAttackSwing(hitbox) {
+        let hit = false;
+        for (const e of this.entities) {
+          const hurt = e.alive ? e.getHurtbox() : null;
+          if (hurt && rectsOverlap(hitbox, hurt)) {
+            e.takeHit(this);
+            hit = true;
+          }
+        }
+        return hit;
+      }
+
+      beginSeaFall() {
+        this.state = 'falling';
+        this.loseReason = 'fall';
+        this.fallAnim = {
+          t: 0,
+          duration: 2600,
+          startX: this.player.x,
+          startY: this.player.y,
+          endX: this.sea.edgeX - this.sea.width * 0.6,
+          pauseSpan: 0.4,
+          splashShown: false
+        };
+        this.player.state = 'fall';
+        this.player.moveDir = 0;
+        this.player.attack = null;
+        this.player.hitLag = 0;
+        this.player.armExtend = 0.25;
+        this.player.legExtend = 0.15;
+        this.player.dir = -1;
+      }
+
+      updateFall(dt, input) {
+        if (input.restart) { this.reset(); return; }
+        if (!this.fallAnim) return;
+        const f = this.fallAnim;
+        f.t += dt;
+        const t = clamp(f.t / f.duration, 0, 1);
+        const driftEase = smoothStep(Math.min(1, t / 0.65));
+        const sinkEase = t < 0.65 ? smoothStep(t / 0.65) : 1 - Math.pow(1 - (t - 0.65) / 0.35, 2);
+
+        this.player.x = lerp(f.startX, f.endX, driftEase);
+        const surfaceTarget = this.sea.surfaceY - 28;
+        const sinkTarget = this.sea.bottomY;
+        const midY = lerp(f.startY, surfaceTarget, Math.min(1, sinkEase));
+        const deepEase = t < 0.72 ? 0 : smoothStep((t - 0.72) / 0.28);
+        this.player.y = lerp(midY, sinkTarget, deepEase);
+        this.player.opacity = Math.max(0, 1 - Math.pow(Math.max(0, t - 0.75) / 0.25, 1.6));
+        this.player.hp = clamp(this.player.hp - (100 * dt / f.duration), 0, this.player.maxHp);
+        this.cameraX = lerp(this.cameraX, 0, 0.08);
+
+        if (!f.splashShown && t > 0.68) {
+          f.splashShown = true;
+          this.splashTimer = 420;
+        }
+
+        if (t >= 1) {
+          this.player.hp = 0;
+          this.player.alive = false;
+          this.state = 'lose';
+        }
+      }
+
+      recordInput(dt, input) {
+        const bits = encodeInput(input);
+        const last = this.recording[this.recording.length - 1];
+        if (last && last[0] === dt && last[1] === bits) last[2]++;
+        else this.recording.push([dt, bits, 1]);
+      }
+
+      update(dt, input = NO_INPUT) {
+        if (this.recording) this.recordInput(dt, input);
+        if (this.splashTimer > 0) this.splashTimer = Math.max(0, this.splashTimer - dt);
+        if (this.state === 'playing' || this.state === 'falling') this.runMs += dt;
+
+        if (this.state === 'falling') {
+          this.updateFall(dt, input);
+          return;
+        }
+
+        if (this.cutscene) {
+          this.updateCutscene(dt, input);
+          return;
+        }
+
+        if (this.state !== 'playing') {
+          // After a loss, retry takes precedence
+          if (input.retry && this.state === 'lose') this.retry();
+          else if (input.restart) this.reset();
+          return;
+        }
+
+        if (input.debug) this.debugHyakuretsu = !this.debugHyakuretsu;
+
+        // Enemies within engageRadius ahead join the fight
+        this.engaged = this.engaged.filter(e => e.alive);
+        this.joinFight(this.enemies.filter(e => e.alive && Math.abs(e.x - this.player.x) < this.engageRadius && e.x >= this.player.x));
+        this.selectTarget(input);
+        if (!this.engaged.length) {
+          if (this.engagement.state !== 'idle') this.engagement = { state: 'idle', enemy: null, timer: 0 };
+        } else if (this.engagement.state === 'fight') {
+          this.engagement.enemy = this.activeEnemy;
+        }
+
+        this.player.debugHyakuretsu = this.debugHyakuretsu;
+        this.player.update(dt, this, input);
+        this.playerModel.observe(this.player, dt);
+        for (const e of this.engaged) e.update(dt, this, null);
+        this.updateTurn(dt);
+
+        for (const e of this.entities) e.step(dt, this);
+        this.entities = this.entities.filter(e => !e.removed);
+
+        // Catching breath between engagements restores some HP
+        if (!this.activeEnemy && this.engagement.state === 'idle' && this.player.alive) {
+          this.player.hp = Math.min(this.player.maxHp, this.player.hp + STAMINA.restHpPerSec * dt / 1000);
+        }
+
+        this.followCamera();
+
+        if (!this.player.alive) {
+          this.state = 'lose';
+          if (!this.loseReason) this.loseReason = 'combat';
+        }
+        const allDown = this.enemies.every(e => !e.alive);
+        if (allDown && this.player.x > this.stage.winZone.x) {
+          this.state = 'win';
+          this.playCutscene('victory');
+        }
+
+        this.tickTempMessage(dt);
+
+        this.triggers.update(this, dt);
+
+        // Checkpoint once the tick's triggers have run, so set pieces a defeat sets off aren't replayed
+        const down = this.enemies.filter(e => !e.alive).length;
+        if (this.state === 'playing' && down > (this.checkpoint ? this.checkpoint.defeated.length : 0)) this.takeCheckpoint();
+      }
+
+      // Remember this tick's starting positions so the renderer can interpolate
+      savePrevious() {
+        for (const f of [this.player, ...this.enemies]) {
+          f.prevX = f.x;
+          f.prevY = f.y;
+        }
+        for (const e of this.entities) {
+          e.prevX = e.x;
+          e.prevY = e.y;
+        }
+        this.prevCameraX = this.cameraX;
+      }
+
+      indexOfEnemy(enemy) {
+        return enemy ? this.enemies.indexOf(enemy) : -1;
+      }
+
+      serialize() {
+        const e = this.engagement;
+        return {
+          stage: this.stage.name,
+          state: this.state,
+          loseReason: this.loseReason,
+          seed: this.seed,
+          rngState: this.rng.state,
+          time: this.time,
+          cameraX: this.cameraX,
+          debugHyakuretsu: this.debugHyakuretsu,
+          player: this.player.serialize(),
+          enemies: this.enemies.map(f => f.serialize()),
+          engaged: this.engaged.map(f => this.indexOfEnemy(f)),
+          activeEnemy: this.indexOfEnemy(this.activeEnemy),
+          turn: { attacker: this.indexOfEnemy(this.turn.attacker), last: this.indexOfEnemy(this.turn.last), rest: this.turn.rest },
+          engagement: { state: e.state, enemy: this.indexOfEnemy(e.enemy), timer: e.timer },
+          entities: this.entities.map(e => e.serialize()),
+          fallAnim: this.fallAnim ? { ...this.fallAnim } : null,
+          splashTimer: this.splashTimer,
+          playerModel: this.playerModel.serialize(),
+          triggers: this.triggers.serialize(),
+          cameraLock: this.cameraLock ? { ...this.cameraLock } : null,
+          cutscene: this.cutscene ? this.cutscene.serialize(this) : null,
+          checkpoint: this.checkpoint ? copyData(this.checkpoint) : null,
+          runMs: this.runMs,
+          tempMessage: this.tempMessage ? { ...this.tempMessage } : null
+        };
+      }
+    }
+
+    // Hash of the full serialized state; replays and desync checks compare these
+    function hashState(game) {
+      return hashString(JSON.stringify(game.serialize()));
+    }
+
+    // Headless entry point: advance with tick() (or step() for a custom dt) and read back a plain snapshot
+    function createSimulation(config = {}) {
+      // config.mode 'versus' is the two-player arena (versus.js); anything else the story stage
+      const game = config.mode === 'versus' ? new Karate.VersusGame(config) : new Game(config);
+      const sim = {
+        game,
+        step(dt, input = NO_INPUT) {
+          game.savePrevious();
+          game.time += dt;
+          game.update(dt, input);
+          return sim;
+        },
+        tick(input = NO_INPUT) {
+          return sim.step(TICK_MS, input);
+        },
+        getState() {
+          return game.serialize();
+        }
+      };
+      return sim;
+    }
+
+    Object.assign(Karate, {
+      VIEW_W, VIEW_H, GROUND_Y, WORLD_W, TICK_HZ, TICK_MS, HEIGHTS, HIT_DEFAULTS, GUARD, STAMINA, RUN, TURN, BUFFER, DEFAULT_MOVES,
+      clamp, lerp, smoothStep, rectsOverlap, copyData, hashString, parseSeed, randomSeed, createRng,
+      createInputFrame, NO_INPUT, INPUT_KEYS, PLAYER2_KEYS, playerTwoInput, encodeInput, decodeInput, hashState,
+      Fighter, Game, createSimulation
+    });
+  })();
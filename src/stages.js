@@ -0,0 +1,279 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Stage definitions: world size, ground line, fighter roster, hazards, scripted triggers, cutscenes, win zone and colors.
+  // STAGE_DATA is plain JSON syntax like MOVE_DATA; loadStage() validates a stage (object or
+  // JSON string) and fills in defaults. Game builds its world from the loaded stage.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { VIEW_H, AI_PROFILES, validateTriggers, normalizeTriggers, validateCutscenes, normalizeCutscenes } = Karate;
+
+    const STAGE_DATA = {
+      "version": 1,
+      "name": "城門",
+      "worldWidth": 3200,
+      "groundY": 600,
+      "theme": {
+        "sky": ["#0f1620", "#0b0e12"],
+        "hills": ["#142131", "#121b28"],
+        "ground": "#141a22",
+        "groundEdge": "#1a2533",
+        "groundLines": "#223044",
+        "sea": ["#0c1f32", "#0a1a29", "#050b12"]
+      },
+      "player": {
+        "x": 80,
+        "palette": {
+          "giColor": "#f8f9fd", "giShadow": "#e7edf6", "skinTone": "#f3c3a1", "skinToneShade": "#e0a47b",
+          "hairColor": "#3d261a", "beltColor": "#c0263b", "accentColor": "#d74556", "footWrapColor": "#2b3a4d"
+        }
+      },
+      "enemies": [
+        {
+          "name": "Guard A", "x": 520, "ai": "rusher",
+          "palette": {
+            "giColor": "#f2f5fb", "giShadow": "#dde3f4", "skinTone": "#e4b184", "skinToneShade": "#d09361",
+            "hairColor": "#332418", "beltColor": "#234985", "accentColor": "#2c7dfd", "footWrapColor": "#25344a"
+          }
+        },
+        {
+          "name": "Guard B", "x": 1120, "ai": "lowKicker", "group": "pair", "depth": 8,
+          "palette": {
+            "giColor": "#f0f4fb", "giShadow": "#dce2f1", "skinTone": "#dca578", "skinToneShade": "#c48653",
+            "hairColor": "#2a1f17", "beltColor": "#274582", "accentColor": "#336ffc", "footWrapColor": "#243346"
+          }
+        },
+        {
+          "name": "Guard C", "x": 1680, "ai": "feinter",
+          "palette": {
+            "giColor": "#f3f6fb", "giShadow": "#dfe5f3", "skinTone": "#c9946b", "skinToneShade": "#b37a4e",
+            "hairColor": "#1f1410", "beltColor": "#1f3c77", "accentColor": "#2b63e6", "footWrapColor": "#1f2d40"
+          }
+        },
+        {
+          "name": "Guard D", "x": 1260, "ai": "rusher", "group": "pair", "depth": -12,
+          "stats": { "maxHp": 70 },
+          "palette": {
+            "giColor": "#eef2f9", "giShadow": "#d8dfee", "skinTone": "#d8a17a", "skinToneShade": "#bd8457",
+            "hairColor": "#241a14", "beltColor": "#2a4a7f", "accentColor": "#3a78f0", "footWrapColor": "#233246"
+          }
+        },
+        {
+          "name": "Captain", "x": 2380, "ai": { "base": "counter", "aggression": 0.8, "reactionMs": 20 },
+          "palette": {
+            "giColor": "#f7f2f5", "giShadow": "#e7dbe0", "skinTone": "#f0c3b5", "skinToneShade": "#d39a82",
+            "hairColor": "#271c1a", "beltColor": "#301f45", "accentColor": "#ff6b81", "footWrapColor": "#2d2f44"
+          }
+        }
+      ],
+      "hazards": [
+        { "type": "sea", "edgeX": 42, "width": 340 }
+      ],
+      "triggers": [
+        {
+          "id": "pigeon",
+          "when": { "type": "enemyDefeated", "enemy": 0 },
+          "do": [{ "type": "spawn", "entity": "pigeon" }, { "type": "message", "text": "鳩が襲来!", "ms": 1600 }]
+        },
+        {
+          "id": "hawk",
+          "when": [{ "type": "enemyDefeated", "enemy": 1 }, { "type": "noFight" }],
+          "do": [{ "type": "spawn", "entity": "hawk", "height": "mid", "passes": 3 }, { "type": "message", "text": "鷹が来る!", "ms": 1400 }]
+        },
+        {
+          "id": "gate",
+          "when": [{ "type": "enemyDefeated", "enemy": 2 }, { "type": "playerX", "min": 1960 }],
+          "do": [{ "type": "spawn", "entity": "portcullis", "x": 2140, "warnMs": 600, "holdMs": 3000 }, { "type": "message", "text": "門が落ちる!", "ms": 900 }]
+        },
+        {
+          "id": "seaFall",
+          "when": [{ "type": "noFight" }, { "type": "playerX", "max": 46, "moving": "left" }],
+          "do": { "type": "seaFall" }
+        }
+      ],
+      "cutscenes": {
+        "opening": [
+          { "at": 0, "type": "camera", "x": 1920 },
+          { "at": 0, "type": "caption", "text": "城主は姫をさらい、城門を閉ざした。", "ms": 2600 },
+          { "at": 2600, "type": "camera", "x": 0, "ms": 1800 },
+          { "at": 2600, "type": "caption", "text": "海沿いの道に、一人の空手家が立つ。", "ms": 2200 },
+          { "at": 4400, "type": "move", "actor": "player", "x": 140 },
+          { "at": 4800, "type": "caption", "speaker": "空手家", "text": "待っていろ。", "ms": 1400 }
+        ],
+        "victory": [
+          { "at": 0, "type": "pose", "actor": "player", "pose": "stance" },
+          { "at": 0, "type": "caption", "text": "城は落ちた。", "ms": 1800 },
+          { "at": 500, "type": "pose", "actor": "player", "pose": "bow" },
+          { "at": 2000, "type": "move", "actor": "player", "dx": 120 },
+          { "at": 2000, "type": "caption", "speaker": "姫", "text": "ありがとう……!", "ms": 2200 }
+        ]
+      },
+      "winZone": { "x": 3000 }
+    };
+
+    const PALETTE_KEYS = ['giColor', 'giShadow', 'skinTone', 'skinToneShade', 'hairColor', 'eyeColor', 'beltColor', 'accentColor', 'footWrapColor'];
+    const STAT_KEYS = ['maxHp', 'speed', 'damage']; // hp, walk speed px/s, damage multiplier
+    const HAZARD_TYPES = ['sea'];
+    const THEME_DEFAULTS = STAGE_DATA.theme;
+
+    class StageDataError extends Error {
+      constructor(problems) {
+        super(`Invalid stage data:\n  ${problems.join('\n  ')}`);
+        this.name = 'StageDataError';
+        this.problems = problems;
+      }
+    }
+
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+    // Every AI profile field with an example value, to check stage overrides against
+    const AI_SHAPE = {};
+    for (const profile of Object.values(AI_PROFILES)) {
+      for (const [k, v] of Object.entries(profile)) if (!(k in AI_SHAPE)) AI_SHAPE[k] = v;
+    }
+
+    function validateAIOverrides(at, raw, problems) {
+      for (const [k, v] of Object.entries(raw)) {
+        if (k === 'base') continue;
+        const like = AI_SHAPE[k];
+        if (like === undefined) problems.push(`${at}.${k} is not an AI profile field (expected ${Object.keys(AI_SHAPE).join(', ')})`);
+        else if (typeof like === 'string') { if (typeof v !== 'string') problems.push(`${at}.${k} must be a string`); }
+        else if (typeof like === 'boolean') { if (typeof v !== 'boolean') problems.push(`${at}.${k} must be true or false`); }
+        else if (isNum(like)) { if (!isNum(v) || v < 0) problems.push(`${at}.${k} must be a non-negative number`); }
+        else if (Array.isArray(like)) {
+          if (!Array.isArray(v) || v.length !== 2 || !v.every(n => isNum(n) && n >= 0) || v[0] > v[1]) problems.push(`${at}.${k} must be a [min, max] pair of non-negative numbers`);
+        } else if (!isObj(v) || Object.keys(like).some(key => !isNum(v[key]) || v[key] < 0) || Object.keys(v).some(key => !(key in like))) {
+          problems.push(`${at}.${k} must be an object of non-negative numbers with keys ${Object.keys(like).join(', ')}`);
+        }
+      }
+    }
+
+    function validateFighter(at, raw, worldWidth, problems, isEnemy) {
+      if (!isObj(raw)) { problems.push(`${at} must be an object`); return; }
+      if (!isNum(raw.x) || raw.x < 0 || raw.x > worldWidth) problems.push(`${at}.x must be a number inside the world (0..${worldWidth})`);
+      if (isEnemy && (typeof raw.name !== 'string' || !raw.name)) problems.push(`${at}.name must be a non-empty string`);
+      if (raw.palette != null) {
+        if (!isObj(raw.palette)) problems.push(`${at}.palette must be an object`);
+        else for (const [k, v] of Object.entries(raw.palette)) {
+          if (!PALETTE_KEYS.includes(k)) problems.push(`${at}.palette.${k} is not a palette color (expected ${PALETTE_KEYS.join(', ')})`);
+          else if (typeof v !== 'string') problems.push(`${at}.palette.${k} must be a CSS color string`);
+        }
+      }
+      if (raw.stats != null) {
+        if (!isObj(raw.stats)) problems.push(`${at}.stats must be an object`);
+        else for (const [k, v] of Object.entries(raw.stats)) {
+          if (!STAT_KEYS.includes(k)) problems.push(`${at}.stats.${k} is not a stat (expected ${STAT_KEYS.join(', ')})`);
+          else if (!isNum(v) || v <= 0) problems.push(`${at}.stats.${k} must be a positive number`);
+        }
+      }
+      if (isEnemy && raw.group != null && (typeof raw.group !== 'string' || !raw.group)) problems.push(`${at}.group must be a non-empty string`);
+      if (isEnemy && raw.depth != null && (!isNum(raw.depth) || Math.abs(raw.depth) > 40)) problems.push(`${at}.depth must be a number between -40 and 40 (px)`);
+      if (isEnemy && raw.ai != null) {
+        const id = typeof raw.ai === 'string' ? raw.ai : isObj(raw.ai) ? raw.ai.base || 'balanced' : null;
+        if (!id || !AI_PROFILES[id]) problems.push(`${at}.ai must be an AI profile id (${Object.keys(AI_PROFILES).join(', ')}) or { base, ...overrides }`);
+        else if (isObj(raw.ai)) validateAIOverrides(`${at}.ai`, raw.ai, problems);
+      }
+    }
+
+    function normalizeFighter(raw) {
+      return {
+        name: raw.name || null,
+        x: raw.x,
+        ai: raw.ai != null ? raw.ai : null,
+        group: raw.group || null,
+        depth: raw.depth || 0,
+        palette: { ...(raw.palette || {}) },
+        stats: { ...(raw.stats || {}) }
+      };
+    }
+
+    // Parse and validate a stage; throws StageDataError listing every problem found
+    function loadStage(data) {
+      const raw = typeof data === 'string' ? JSON.parse(data) : data;
+      if (!isObj(raw)) throw new StageDataError(['stage must be an object']);
+      const problems = [];
+      const worldWidth = raw.worldWidth;
+      if (!isNum(worldWidth) || worldWidth < 400) problems.push('worldWidth must be a number of at least 400 (px)');
+      if (!isNum(raw.groundY) || raw.groundY < 200 || raw.groundY > VIEW_H - 40) problems.push(`groundY must be a number between 200 and ${VIEW_H - 40} (px from the top of the view)`);
+      const w = isNum(worldWidth) ? worldWidth : 0;
+
+      if (raw.theme != null) {
+        if (!isObj(raw.theme)) problems.push('theme must be an object');
+        else for (const [k, v] of Object.entries(raw.theme)) {
+          const def = THEME_DEFAULTS[k];
+          if (def === undefined) problems.push(`theme.${k} is not a theme color (expected ${Object.keys(THEME_DEFAULTS).join(', ')})`);
+          else if (Array.isArray(def) ? !Array.isArray(v) || v.length !== def.length || !v.every(c => typeof c === 'string') : typeof v !== 'string') {
+            problems.push(`theme.${k} must be ${Array.isArray(def) ? `a list of ${def.length} CSS colors` : 'a CSS color string'}`);
+          }
+        }
+      }
+
+      validateFighter('player', raw.player, w, problems, false);
+      const enemies = Array.isArray(raw.enemies) ? raw.enemies : [];
+      if (!Array.isArray(raw.enemies)) problems.push('enemies must be an array');
+      enemies.forEach((e, i) => validateFighter(`enemies[${i}]`, e, w, problems, true));
+
+      const hazards = raw.hazards == null ? [] : raw.hazards;
+      if (!Array.isArray(hazards)) problems.push('hazards must be an array');
+      const seen = new Set();
+      (Array.isArray(hazards) ? hazards : []).forEach((h, i) => {
+        const at = `hazards[${i}]`;
+        if (!isObj(h)) { problems.push(`${at} must be an object`); return; }
+        if (!HAZARD_TYPES.includes(h.type)) { problems.push(`${at}.type must be one of ${HAZARD_TYPES.join(', ')}`); return; }
+        if (seen.has(h.type)) problems.push(`${at}: only one ${h.type} per stage`);
+        seen.add(h.type);
+        if (h.type === 'sea') {
+          if (!isNum(h.edgeX) || h.edgeX < 0 || h.edgeX > w) problems.push(`${at}.edgeX must be inside the world (0..${w})`);
+          if (!isNum(h.width) || h.width <= 0) problems.push(`${at}.width must be a positive number`);
+        }
+      });
+
+      validateCutscenes(raw.cutscenes, { enemyCount: enemies.length }, problems);
+      const sceneNames = Object.keys(normalizeCutscenes(null)).concat(Object.keys(isObj(raw.cutscenes) ? raw.cutscenes : {}));
+      validateTriggers(raw.triggers, { enemyCount: enemies.length, cutscenes: [...new Set(sceneNames)] }, problems);
+
+      if (!isObj(raw.winZone) || !isNum(raw.winZone.x) || raw.winZone.x < 0 || raw.winZone.x > w) problems.push(`winZone must be { "x": <number inside the world (0..${w})> }`);
+      if (problems.length) throw new StageDataError(problems);
+
+      return {
+        name: raw.name || 'stage',
+        worldWidth,
+        groundY: raw.groundY,
+        theme: { ...THEME_DEFAULTS, ...(raw.theme || {}) },
+        player: normalizeFighter(raw.player),
+        enemies: enemies.map(normalizeFighter),
+        hazards: hazards.map(h => ({ ...h })),
+        triggers: normalizeTriggers(raw.triggers),
+        cutscenes: normalizeCutscenes(raw.cutscenes),
+        winZone: { x: raw.winZone.x }
+      };
+    }
+
+    const DEFAULT_STAGE = loadStage(STAGE_DATA);
+
+    Object.assign(Karate, { STAGE_DATA, DEFAULT_STAGE, StageDataError, loadStage });
+  })();
@@ -0,0 +1,205 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Triggers: declarative "when <conditions> do <actions>" rules from stage data, checked every
+  // playing tick. Conditions and actions are registries, so new kinds are one entry each.
+  //   { "id": "birds", "when": [{ "type": "enemyDefeated", "enemy": 0 }], "do": [{ "type": "spawn", "entity": "pigeon" }] }
+  // `when` and `do` take one entry or a list; all conditions must hold. Triggers fire once unless "once": false.
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { ENTITY_TYPES } = Karate;
+
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+    // Shared parameter checks; each returns a problem string or null
+    const need = {
+      enemy: (v, ctx) => (Number.isInteger(v) && v >= 0 && v < ctx.enemyCount ? null : `must be an index into enemies (0..${ctx.enemyCount - 1})`),
+      number: (v) => (isNum(v) ? null : 'must be a number'),
+      ratio: (v) => (isNum(v) && v >= 0 && v <= 1 ? null : 'must be a ratio between 0 and 1'),
+      text: (v) => (typeof v === 'string' && v ? null : 'must be a non-empty string')
+    };
+    const optional = (check) => (v, ctx) => (v == null ? null : check(v, ctx));
+
+    // test(game, params, runner) -> boolean
+    const CONDITIONS = {
+      enemyDefeated: {
+        params: { enemy: need.enemy },
+        test: (game, c) => !game.enemies[c.enemy].alive
+      },
+      // Player inside [min, max]; `moving` ("left"/"right") also requires walking that way
+      playerX: {
+        params: { min: optional(need.number), max: optional(need.number), moving: optional(v => (v === 'left' || v === 'right' ? null : 'must be "left" or "right"')) },
+        test: (game, c) => {
+          const p = game.player;
+          if (c.min != null && p.x < c.min) return false;
+          if (c.max != null && p.x > c.max) return false;
+          if (c.moving) return p.moveDir === (c.moving === 'left' ? -1 : 1);
+          return true;
+        }
+      },
+      // Time spent playing the stage (ms)
+      timer: {
+        params: { ms: need.number },
+        test: (game, c, runner) => runner.clock >= c.ms
+      },
+      playerHpBelow: {
+        params: { ratio: need.ratio },
+        test: (game, c) => game.player.hp < game.player.maxHp * c.ratio
+      },
+      // Nobody engaged: between fights
+      noFight: {
+        params: {},
+        test: (game) => !game.activeEnemy
+      }
+    };
+
+    // run(game, params)
+    const ACTIONS = {
+      message: {
+        params: { text: need.text, ms: optional(need.number), opacity: optional(need.ratio) },
+        run: (game, a) => game.pushTempMessage(a.text, a.ms != null ? a.ms : 1200, a.opacity != null ? a.opacity : 0.9)
+      },
+      // Entity options ride along: x, height ("mid"/"low" for a hawk), passes, warnMs/holdMs for a gate
+      spawn: {
+        params: {
+          entity: v => (ENTITY_TYPES[v] ? null : `must be one of ${Object.keys(ENTITY_TYPES).join(', ')}`),
+          x: optional(need.number),
+          height: optional(v => (v === 'mid' || v === 'low' ? null : 'must be "mid" or "low"')),
+          passes: optional(v => (Number.isInteger(v) && v > 0 ? null : 'must be a positive whole number')),
+          warnMs: optional(need.number),
+          holdMs: optional(need.number)
+        },
+        run: (game, a) => game.spawnEntity(a.entity, a)
+      },
+      // Pin the camera between minX and maxX; the player can't walk out of the locked view
+      lockCamera: {
+        params: { minX: need.number, maxX: need.number },
+        run: (game, a) => { game.cameraLock = { minX: a.minX, maxX: Math.max(a.minX, a.maxX) }; }
+      },
+      unlockCamera: {
+        params: {},
+        run: (game) => { game.cameraLock = null; }
+      },
+      heal: {
+        params: { amount: need.number },
+        run: (game, a) => { const p = game.player; if (p.alive) p.hp = Math.min(p.maxHp, p.hp + a.amount); }
+      },
+      // Engage an enemy right away, wherever it stands
+      startFight: {
+        params: { enemy: need.enemy },
+        run: (game, a) => { const e = game.enemies[a.enemy]; if (e.alive) game.startFight(e); }
+      },
+      seaFall: {
+        params: {},
+        run: (game) => { if (game.sea && game.state === 'playing') game.beginSeaFall(); }
+      },
+      // Play one of the stage's cutscenes (skipped if another is already playing)
+      cutscene: {
+        params: { name: (v, ctx) => (ctx.cutscenes.includes(v) ? null : `must name one of the stage's cutscenes (${ctx.cutscenes.join(', ')})`) },
+        run: (game, a) => { game.playCutscene(a.name); }
+      }
+    };
+
+    const asList = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+    function validateEntries(at, entries, registry, kind, ctx, problems) {
+      if (!entries.length) problems.push(`${at} needs at least one ${kind}`);
+      entries.forEach((e, i) => {
+        const ea = `${at}[${i}]`;
+        if (!isObj(e)) { problems.push(`${ea} must be an object`); return; }
+        const def = registry[e.type];
+        if (!def) { problems.push(`${ea}.type must be one of ${Object.keys(registry).join(', ')}`); return; }
+        for (const [name, check] of Object.entries(def.params)) {
+          const problem = check(e[name], ctx);
+          if (problem) problems.push(`${ea}.${name} ${problem}`);
+        }
+      });
+    }
+
+    // Pushes a problem string for every mistake; ctx = { enemyCount, cutscenes: names }
+    function validateTriggers(raw, ctx, problems) {
+      if (raw == null) return;
+      if (!Array.isArray(raw)) { problems.push('triggers must be an array'); return; }
+      // Ids key the fired list and checkpoints, so generated ones (see normalizeTriggers) count too
+      const ids = new Map(); // id -> index of the trigger holding it
+      raw.forEach((t, i) => {
+        const at = `triggers[${i}]`;
+        if (!isObj(t)) { problems.push(`${at} must be an object`); return; }
+        if (t.id != null && typeof t.id !== 'string') problems.push(`${at}.id must be a string`);
+        else {
+          const id = t.id || generatedId(i);
+          if (ids.has(id)) problems.push(`${t.id ? `${at}.id` : `${at} has no id, so it gets`} "${id}", which triggers[${ids.get(id)}] already uses`);
+          else ids.set(id, i);
+        }
+        if (t.once != null && typeof t.once !== 'boolean') problems.push(`${at}.once must be true or false`);
+        validateEntries(`${at}.when`, asList(t.when), CONDITIONS, 'condition', ctx, problems);
+        validateEntries(`${at}.do`, asList(t.do), ACTIONS, 'action', ctx, problems);
+      });
+    }
+
+    const generatedId = (i) => `trigger${i}`;
+
+    function normalizeTriggers(raw) {
+      return asList(raw).map((t, i) => ({
+        id: t.id || generatedId(i),
+        when: asList(t.when).map(c => ({ ...c })),
+        do: asList(t.do).map(a => ({ ...a })),
+        once: t.once !== false
+      }));
+    }
+
+    // Per-Game trigger state over a loaded stage's trigger list
+    function createTriggerRunner(triggers = []) {
+      const runner = {
+        clock: 0,
+        fired: [], // ids of once-only triggers that already ran
+
+        update(game, dt) {
+          runner.clock += dt;
+          for (const t of triggers) {
+            if (t.once && runner.fired.includes(t.id)) continue;
+            if (!t.when.every(c => CONDITIONS[c.type].test(game, c, runner))) continue;
+            if (t.once) runner.fired.push(t.id);
+            for (const a of t.do) ACTIONS[a.type].run(game, a);
+          }
+        },
+
+        serialize() {
+          return { clock: runner.clock, fired: runner.fired.slice() };
+        },
+
+        // Pick up from serialize()'s output (a checkpoint)
+        load(saved) {
+          runner.clock = saved.clock;
+          runner.fired = saved.fired.slice();
+        }
+      };
+      return runner;
+    }
+
+    Object.assign(Karate, { TRIGGER_CONDITIONS: CONDITIONS, TRIGGER_ACTIONS: ACTIONS, validateTriggers, normalizeTriggers, createTriggerRunner });
+  })();
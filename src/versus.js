@@ -0,0 +1,232 @@
+/*
+MIT License
+
+Copyright (c) 2025 Karate project contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+  // Local versus: two people on one keyboard in a one-screen arena, best of `rounds` against a
+  // round clock. Player 1 reads the usual input fields, player 2 the p2* fields of the same frame
+  // (PLAYER2_KEYS in sim.js), so recordings and replays work unchanged.
+  //   createSimulation({ mode: 'versus', rounds: 3, roundMs: 60000 })
+
+  (() => {
+    const Karate = globalThis.Karate || (globalThis.Karate = {});
+    const { VIEW_W, NO_INPUT, DEFAULT_MOVES, DEFAULT_STAGE, Fighter, Game, loadMoves, loadStage, createRng, randomSeed, playerTwoInput, copyData } = Karate;
+
+    const VERSUS = {
+      rounds: 3,
+      roundMs: 60000,
+      introMs: 1400, // "ROUND n" before the fighters are let go
+      outroMs: 2400, // result held on screen before the next round
+      startGap: 380 // px between the fighters at the bell
+    };
+
+    // Left out of the generic part of saveState: shared tables and fighter references, saved on their own
+    const NOT_SAVED = ['config', 'stage', 'moves', 'rng', 'player', 'rival', 'enemies', 'engaged', 'activeEnemy', 'recording'];
+
+    class VersusGame {
+      constructor(config = {}) {
+        this.config = config;
+        this.mode = 'versus';
+        this.seed = config.seed != null ? config.seed >>> 0 : randomSeed();
+        this.rng = createRng(this.seed);
+        // Only the stage's look and ground line are used; the arena is one screen wide
+        const stage = config.stage ? loadStage(config.stage) : DEFAULT_STAGE;
+        this.stage = stage;
+        this.groundY = stage.groundY;
+        this.worldW = VIEW_W;
+        this.sea = null;
+        this.entities = [];
+        this.cameraX = 0;
+        this.cameraLock = null;
+        this.cutscene = null;
+        this.moves = config.moves ? loadMoves(config.moves) : DEFAULT_MOVES;
+        this.roundsToWin = Math.ceil((config.rounds || VERSUS.rounds) / 2);
+        this.roundMs = config.roundMs || VERSUS.roundMs;
+        this.wins = [0, 0];
+        this.round = 0;
+        this.roundWinner = null; // 0 / 1, or null for a draw
+        this.roundEnd = null; // 'ko' | 'time'
+        this.winner = null;
+        this.state = 'playing'; // 'playing' | 'win' once someone takes the match
+        this.time = 0;
+        this.debugHyakuretsu = false;
+        this.tempMessage = null;
+        this.recording = config.record ? [] : null;
+        this.startRound();
+      }
+
+      reset() {
+        Object.assign(this, new VersusGame(this.config));
+      }
+
+      // Fresh fighters at their marks; phase 'intro' -> 'fight' -> 'roundOver'
+      startRound() {
+        this.round++;
+        const mid = this.worldW / 2;
+        const def = this.stage;
+        const rival = def.enemies[0] ? def.enemies[0].palette : {};
+        this.player = new Fighter({ name: 'P1', bufferMs: this.config.bufferMs, x: mid - VERSUS.startGap / 2, dir: 1, groundY: this.groundY, ...def.player.palette });
+        this.rival = new Fighter({ name: 'P2', human: true, bufferMs: this.config.bufferMs, x: mid + VERSUS.startGap / 2, dir: -1, groundY: this.groundY, ...rival });
+        for (const f of [this.player, this.rival]) {
+          f.moves = this.moves;
+          f.prevX = f.x;
+          f.prevY = f.y;
+        }
+        // Same shape the renderer and HUD read from the story Game
+        this.enemies = [this.rival];
+        this.engaged = [this.rival];
+        this.activeEnemy = this.rival;
+        this.phase = 'intro';
+        this.phaseT = VERSUS.introMs;
+        this.clock = this.roundMs;
+        this.roundWinner = null;
+        this.roundEnd = null;
+      }
+
+      getLeftBoundary() { return 20; }
+
+      getRightBoundary() { return this.worldW - 20; }
+
+      opponentsOf(f) { return [f === this.player ? this.rival : this.player]; }
+
+      targetOf(f) { return f === this.player ? this.rival : this.player; }
+
+      // KO, or the clock ran out and the healthier fighter takes it; level health is a draw
+      endRound(how) {
+        const [p1, p2] = [this.player, this.rival];
+        let winner = null;
+        if (how === 'ko') winner = p1.alive === p2.alive ? null : p1.alive ? 0 : 1;
+        else if (p1.hp / p1.maxHp !== p2.hp / p2.maxHp) winner = p1.hp / p1.maxHp > p2.hp / p2.maxHp ? 0 : 1;
+        if (winner != null) this.wins[winner]++;
+        this.roundWinner = winner;
+        this.roundEnd = how;
+        this.phase = 'roundOver';
+        this.phaseT = VERSUS.outroMs;
+      }
+
+      update(dt, input = NO_INPUT) {
+        if (this.recording) this.recordInput(dt, input);
+        if (this.state !== 'playing') {
+          if (input.restart) this.reset();
+          return;
+        }
+        if (input.debug) this.debugHyakuretsu = !this.debugHyakuretsu;
+
+        const fighting = this.phase === 'fight';
+        this.player.debugHyakuretsu = this.debugHyakuretsu;
+        this.player.update(dt, this, fighting ? input : NO_INPUT);
+        this.rival.update(dt, this, fighting ? playerTwoInput(input) : NO_INPUT);
+
+        if (this.phase === 'intro') {
+          this.phaseT -= dt;
+          if (this.phaseT <= 0) this.phase = 'fight';
+        } else if (this.phase === 'fight') {
+          this.clock = Math.max(0, this.clock - dt);
+          if (!this.player.alive || !this.rival.alive) this.endRound('ko');
+          else if (this.clock <= 0) this.endRound('time');
+        } else {
+          this.phaseT -= dt;
+          if (this.phaseT <= 0) {
+            const champ = this.wins.findIndex(w => w >= this.roundsToWin);
+            if (champ >= 0) {
+              this.winner = champ;
+              this.state = 'win';
+            } else {
+              this.startRound();
+            }
+          }
+        }
+        this.tickTempMessage(dt);
+      }
+
+      savePrevious() {
+        for (const f of [this.player, this.rival]) {
+          f.prevX = f.x;
+          f.prevY = f.y;
+        }
+        this.prevCameraX = this.cameraX;
+      }
+
+      indexOfEnemy(f) {
+        return f === this.rival ? 0 : -1;
+      }
+
+      // Rewind point for rollback netplay (netplay.js). Configuration and data tables are shared. The input
+      // recording is only appended to (a restart starts a new list), so its list, length and last run are enough.
+      saveState() {
+        const out = {};
+        for (const [k, v] of Object.entries(this)) {
+          if (!NOT_SAVED.includes(k)) out[k] = copyData(v);
+        }
+        out.rngState = this.rng.state;
+        out.player = this.player.saveState();
+        out.rival = this.rival.saveState();
+        out.recording = this.recording ? { list: this.recording, length: this.recording.length, last: copyData(this.recording[this.recording.length - 1] || null) } : null;
+        return out;
+      }
+
+      loadState(saved) {
+        for (const [k, v] of Object.entries(saved)) {
+          if (!NOT_SAVED.includes(k) && k !== 'rngState') this[k] = copyData(v);
+        }
+        this.rng.state = saved.rngState;
+        this.player.loadState(saved.player);
+        this.rival.loadState(saved.rival);
+        this.enemies = [this.rival];
+        this.engaged = [this.rival];
+        this.activeEnemy = this.rival;
+        if (saved.recording) {
+          this.recording = saved.recording.list;
+          this.recording.length = saved.recording.length;
+          if (saved.recording.last) this.recording[saved.recording.length - 1] = copyData(saved.recording.last);
+        }
+      }
+
+      serialize() {
+        return {
+          mode: this.mode,
+          state: this.state,
+          seed: this.seed,
+          rngState: this.rng.state,
+          time: this.time,
+          debugHyakuretsu: this.debugHyakuretsu,
+          round: this.round,
+          phase: this.phase,
+          phaseT: this.phaseT,
+          clock: this.clock,
+          wins: this.wins.slice(),
+          roundWinner: this.roundWinner,
+          roundEnd: this.roundEnd,
+          winner: this.winner,
+          player: this.player.serialize(),
+          enemies: [this.rival.serialize()],
+          tempMessage: this.tempMessage ? { ...this.tempMessage } : null
+        };
+      }
+    }
+
+    // Same input log and message handling as the story Game
+    for (const name of ['recordInput', 'pushTempMessage', 'tickTempMessage']) VersusGame.prototype[name] = Game.prototype[name];
+
+    Object.assign(Karate, { VERSUS, VersusGame });
+  })();